@@ -0,0 +1,74 @@
+import { BaseCollector } from '../collectors/BaseCollector.js';
+
+/**
+ * Base class for framework adapters. An adapter is a collector whose
+ * data comes from the framework's own lifecycle instead of a browser API.
+ *
+ * Every lifecycle step is emitted as a 'lifecycle:event', rate limited
+ * like metrics under the name 'lifecycle_event':
+ *   { framework, component, phase: 'mount'|'update'|'unmount', duration: ms|null, startTime? }
+ *
+ * Steps with a measurable duration of at least _MIN_REPORT_MS also
+ * become a 'component_render' metric tagged by component and phase,
+ * with startTime in metadata so renders line up with long tasks.
+ * Durations are inclusive: a parent's mount contains its children's.
+ */
+export class BaseAdapter extends BaseCollector {
+  constructor(eventBus, config) {
+    super(eventBus, config);
+    this.framework = 'vanilla';
+
+    this._MIN_REPORT_MS = 4; // a quarter frame; faster renders only go to lifecycle:event
+    this._renderCount = 0;
+  }
+
+  start() {
+    this.isRunning = true;
+  }
+
+  stop() {
+    this.isRunning = false;
+  }
+
+  collect() {
+    return [{ name: 'component_render_count', value: this._renderCount, unit: 'count', tags: { framework: this.framework } }];
+  }
+
+  /**
+   * @param {string|null} component
+   * @param {'mount'|'update'|'unmount'} phase
+   * @param {number|null} [duration] - ms, null when the framework gives no end point
+   * @param {Object} [details] - extra fields, e.g. startTime (performance.now())
+   */
+  record(component, phase, duration = null, details = {}) {
+    if (!this.isRunning) return;
+
+    const name = component || 'Anonymous';
+    if (phase !== 'unmount') this._renderCount++;
+
+    if (!this.rateLimiter || this.rateLimiter.tryAcquire('lifecycle_event')) {
+      this.eventBus.emit('lifecycle:event', this.collectorName, {
+        framework: this.framework,
+        component: name,
+        phase,
+        duration,
+        ...details,
+      });
+    }
+
+    if (duration === null || duration < this._MIN_REPORT_MS) return;
+
+    this.emit({
+      name: 'component_render',
+      value: Math.round(duration * 100) / 100,
+      unit: 'ms',
+      tags: {
+        component: name,
+        phase,
+        framework: this.framework,
+        severity: this.severityOf('component_render', duration),
+      },
+      metadata: details,
+    });
+  }
+}
@@ -0,0 +1,100 @@
+import { BaseAdapter } from './BaseAdapter.js';
+
+/**
+ * Lyte component timing through the component lifecycle hooks.
+ *
+ * Wraps Lyte.Component.register, so every component registered after
+ * start() is instrumented: the SDK must start before the app registers
+ * its components. Definitions can also be instrumented by hand:
+ *   Lyte.Component.register('deal-list', sdk.adapter.instrument('deal-list', { ... }));
+ *
+ *   mount   = init → didConnect
+ *   unmount = didDestroy (reported without a duration)
+ */
+export class LyteAdapter extends BaseAdapter {
+  constructor(eventBus, config) {
+    super(eventBus, config);
+    this.framework = 'lyte';
+
+    /** @type {WeakMap<Object, number>} init time per component instance */
+    this._mountStarts = new WeakMap();
+    /** @type {{component: Object, original: Function, wrapper: Function}|null} */
+    this._registerPatch = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    super.start();
+    this._patchRegister();
+  }
+
+  stop() {
+    this._restoreRegister();
+    super.stop();
+  }
+
+  /**
+   * @param {string} name - component name
+   * @param {Object} definition - Lyte component definition
+   * @returns {Object} definition with timed lifecycle hooks
+   */
+  instrument(name, definition) {
+    if (!definition || typeof definition !== 'object') return definition;
+
+    const adapter = this;
+    const { init, didConnect, didDestroy } = definition;
+
+    return {
+      ...definition,
+      init(...args) {
+        adapter._mountStarts.set(this, performance.now());
+        return init?.apply(this, args);
+      },
+      didConnect(...args) {
+        const result = didConnect?.apply(this, args);
+        const startTime = adapter._mountStarts.get(this);
+        if (startTime !== undefined) {
+          adapter._mountStarts.delete(this);
+          adapter.record(name, 'mount', performance.now() - startTime, { startTime });
+        }
+        return result;
+      },
+      didDestroy(...args) {
+        adapter.record(name, 'unmount');
+        return didDestroy?.apply(this, args);
+      },
+    };
+  }
+
+  _patchRegister() {
+    const component = globalThis.Lyte?.Component;
+    if (typeof component?.register !== 'function') {
+      if (this.config.debug) {
+        console.warn('[PerfSDK] Lyte.Component.register not found, Lyte components will not be timed');
+      }
+      return;
+    }
+
+    const adapter = this;
+    const original = component.register;
+
+    const wrapper = function (name, definition, ...rest) {
+      // Still reachable after stop() if another script wrapped us meanwhile
+      if (adapter.isRunning) definition = adapter.instrument(name, definition);
+      return original.call(this, name, definition, ...rest);
+    };
+    component.register = wrapper;
+    this._registerPatch = { component, original, wrapper };
+  }
+
+  /**
+   * Only undo our own patch: if another script wrapped ours since,
+   * restoring would silently remove theirs
+   */
+  _restoreRegister() {
+    if (!this._registerPatch) return;
+    const { component, original, wrapper } = this._registerPatch;
+    if (component.register === wrapper) component.register = original;
+    this._registerPatch = null;
+  }
+}
@@ -0,0 +1,70 @@
+import { BaseAdapter } from './BaseAdapter.js';
+
+/**
+ * React render timing. React is passed in rather than imported, so the
+ * SDK doesn't depend on it.
+ *
+ * Profiler wrapper (per subtree, uses React's own measurements):
+ *   const PerfProfiler = sdk.adapter.createProfiler(React);
+ *   <PerfProfiler id="DealList"><DealList /></PerfProfiler>
+ * React only calls onRender in development and profiling builds
+ * (react-dom/profiling); in a regular production build it is a no-op.
+ *
+ * Hook (per component, works in every build):
+ *   const useRenderTiming = sdk.adapter.createHook(React);
+ *   function DealList() { useRenderTiming('DealList'); ... }
+ * Measures from the start of the component's render to its layout
+ * effects, i.e. render + commit. Unmounts are reported without a duration.
+ */
+export class ReactAdapter extends BaseAdapter {
+  constructor(eventBus, config) {
+    super(eventBus, config);
+    this.framework = 'react';
+    this.onRender = this.onRender.bind(this);
+  }
+
+  /**
+   * React.Profiler onRender callback
+   */
+  onRender(id, phase, actualDuration, baseDuration, startTime, commitTime) {
+    this.record(id, phase === 'mount' ? 'mount' : 'update', actualDuration, {
+      startTime,
+      commitTime,
+      baseDuration, // cost of re-rendering the whole subtree without memoization
+    });
+  }
+
+  /**
+   * @param {Object} React
+   * @returns {Function} component: ({ id, children }) => <React.Profiler>
+   */
+  createProfiler(React) {
+    const { onRender } = this;
+    const PerfProfiler = ({ id, children }) => React.createElement(React.Profiler, { id, onRender }, children);
+    PerfProfiler.displayName = 'PerfProfiler';
+    return PerfProfiler;
+  }
+
+  /**
+   * @param {Object} React
+   * @returns {(name: string) => void} hook
+   */
+  createHook(React) {
+    const adapter = this;
+
+    return function useRenderTiming(name) {
+      const renderStart = performance.now();
+      const mounted = React.useRef(false);
+
+      // No deps: runs after every commit of this component
+      React.useLayoutEffect(() => {
+        adapter.record(name, mounted.current ? 'update' : 'mount', performance.now() - renderStart, {
+          startTime: renderStart,
+        });
+        mounted.current = true;
+      });
+
+      React.useLayoutEffect(() => () => adapter.record(name, 'unmount'), []);
+    };
+  }
+}
@@ -0,0 +1,82 @@
+import { BaseAdapter } from './BaseAdapter.js';
+
+/**
+ * Vue 2 / Vue 3 component timing through a global mixin.
+ *
+ *   app.use(sdk.adapter.plugin)   // Vue 3
+ *   Vue.use(sdk.adapter.plugin)   // Vue 2
+ *
+ *   mount   = beforeCreate  → mounted
+ *   update  = beforeUpdate  → updated
+ *   unmount = beforeUnmount → unmounted   (Vue 2: beforeDestroy → destroyed)
+ */
+export class VueAdapter extends BaseAdapter {
+  constructor(eventBus, config) {
+    super(eventBus, config);
+    this.framework = 'vue';
+
+    /** @type {WeakMap<Object, Object>} phase start times per component instance */
+    this._starts = new WeakMap();
+  }
+
+  /**
+   * Vue plugin: install(app) on Vue 3, install(Vue) on Vue 2
+   */
+  get plugin() {
+    return {
+      install: (app) => {
+        const isVue2 = String(app.version).startsWith('2.');
+        app.mixin(this.createMixin(isVue2));
+      },
+    };
+  }
+
+  /**
+   * @param {boolean} [isVue2=false] - Vue 2 names its unmount hooks beforeDestroy / destroyed
+   * @returns {Object} mixin
+   */
+  createMixin(isVue2 = false) {
+    const adapter = this;
+
+    const begin = (vm, phase) => {
+      const starts = adapter._starts.get(vm) ?? {};
+      starts[phase] = performance.now();
+      adapter._starts.set(vm, starts);
+    };
+
+    const end = (vm, phase) => {
+      const startTime = adapter._starts.get(vm)?.[phase];
+      if (startTime === undefined) return;
+      delete adapter._starts.get(vm)[phase];
+      adapter.record(componentName(vm), phase, performance.now() - startTime, { startTime });
+    };
+
+    const [beforeUnmount, unmounted] = isVue2 ? ['beforeDestroy', 'destroyed'] : ['beforeUnmount', 'unmounted'];
+
+    return {
+      beforeCreate() {
+        begin(this, 'mount');
+      },
+      mounted() {
+        end(this, 'mount');
+      },
+      beforeUpdate() {
+        begin(this, 'update');
+      },
+      updated() {
+        end(this, 'update');
+      },
+      [beforeUnmount]() {
+        begin(this, 'unmount');
+      },
+      [unmounted]() {
+        end(this, 'unmount');
+      },
+    };
+  }
+}
+
+function componentName(vm) {
+  const options = vm.$options ?? {};
+  return options.name || options.__name || options._componentTag || null;
+}
@@ -0,0 +1,34 @@
+/**
+ * Best-effort guess of the UI framework running on the page.
+ * Only looks at globals and root containers, so call it after the app
+ * has loaded its framework (config.framework 'auto' retries until one is
+ * found: at DOMContentLoaded, at start() and on each sdk.adapter access).
+ *
+ * @returns {'lyte'|'react'|'vue'|'vanilla'}
+ */
+export function detectFramework() {
+  if (typeof window === 'undefined') return 'vanilla';
+
+  if (window.Lyte?.Component) return 'lyte';
+
+  if (window.__REACT_DEVTOOLS_GLOBAL_HOOK__?.renderers?.size > 0 || hasRootKey(['__reactContainer$', '_reactRootContainer'])) {
+    return 'react';
+  }
+
+  if (window.Vue || window.__VUE__ || document.querySelector('[data-v-app]') || hasRootKey(['__vue_app__', '__vue__'])) {
+    return 'vue';
+  }
+
+  return 'vanilla';
+}
+
+/**
+ * Frameworks tag the element they mount into. Apps mount on a direct
+ * child of <body> almost always (#root, #app).
+ */
+function hasRootKey(prefixes) {
+  const candidates = [document.body, ...(document.body?.children ?? [])];
+  return candidates.some(
+    (el) => el && Object.keys(el).some((key) => prefixes.some((prefix) => key.startsWith(prefix)))
+  );
+}
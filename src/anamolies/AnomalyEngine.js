@@ -0,0 +1,138 @@
+import { BaselineManager } from './BaselineManager.js';
+import { BaselinePersistence } from './BaselinePersistence.js';
+import { createStorage } from '../utils/Storage.js';
+import { ZScoreStrategy } from './strategies/ZScoreStrategy.js';
+import { EMAStrategy } from './strategies/EMAStrategy.js';
+import { IQRStrategy } from './strategies/IQRStrategy.js';
+import { ThresholdStrategy } from './strategies/ThresholdStrategy.js';
+import { CompositeStrategy } from './strategies/CompositeStrategy.js';
+
+/**
+ * Sensitivity → strategy threshold (σ for zscore/ema, IQR multiplier k for iqr).
+ * Lower threshold = more alerts.
+ */
+const SENSITIVITY_THRESHOLDS = {
+  low: { zscore: 3.5, ema: 3.5, iqr: 3 },
+  medium: { zscore: 2.5, ema: 2.5, iqr: 2 },
+  high: { zscore: 2, ema: 2, iqr: 1.5 },
+};
+
+/**
+ * Listens to every collected metric, learns its baseline and runs the
+ * configured strategy against it.
+ *
+ *   Collector ──metric:collected──► AnomalyEngine ──anomaly:detected──► IncidentManager
+ *
+ * Anomalies raised directly by collectors (heap utilization, API errors)
+ * also flow through 'anomaly:detected', so the IncidentManager dedupes both.
+ */
+export class AnomalyEngine {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   * @param {Object} config - merged SDK config
+   */
+  constructor(eventBus, config) {
+    this.eventBus = eventBus;
+    this.config = config;
+    this.isRunning = false;
+
+    const { strategy, sensitivity, baselineLearningPeriod, halfLifeSeconds, seasonality } = config.anomaly;
+
+    this.baseline = new BaselineManager(baselineLearningPeriod, 1, { halfLifeSeconds, seasonality });
+    this.strategy = this._createStrategy(strategy, sensitivity);
+    this.persistence = this._createPersistence(config.anomaly);
+
+    this._MAX_HELD_METRICS = 1000;
+
+    /** @type {Array<Function>} */
+    this._subscriptions = [];
+
+    /**
+     * Metrics that arrive while the saved baseline is still being read.
+     * Replayed once it is restored, so restoring doesn't overwrite them.
+     * @type {Array<Object>|null}
+     */
+    this._held = null;
+    this._restored = Promise.resolve();
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    if (this.persistence) {
+      this._held = [];
+      this._restored = this.persistence.start().finally(() => this._releaseHeld());
+    }
+
+    this._subscriptions.push(
+      this.eventBus.on('metric:collected', (event) => {
+        if (!this._held) return this._onMetric(event.payload);
+        if (this._held.length < this._MAX_HELD_METRICS) this._held.push(event.payload);
+      })
+    );
+  }
+
+  /**
+   * @returns {Promise<void>} resolves once the baseline is saved
+   */
+  stop() {
+    this._subscriptions.forEach((unsub) => unsub());
+    this._subscriptions = [];
+    this.isRunning = false;
+
+    // Saving before the restore lands would store an empty baseline
+    return this._restored.then(() => this.persistence?.stop());
+  }
+
+  _releaseHeld() {
+    const held = this._held;
+    this._held = null;
+    held?.forEach((metric) => this._onMetric(metric));
+  }
+
+  _onMetric(metric) {
+    if (!metric || typeof metric.value !== 'number' || !Number.isFinite(metric.value)) return;
+
+    // Detect BEFORE recording, so an outlier doesn't widen its own baseline
+    const anomaly = this.strategy.detect(metric, this.baseline);
+    this.baseline.record(metric.name, metric.value);
+
+    if (anomaly) {
+      this.eventBus.emit('anomaly:detected', 'AnomalyEngine', anomaly);
+    }
+  }
+
+  _createPersistence({ persistBaselines, baselineStorage }) {
+    if (!persistBaselines) return null;
+
+    const storage = createStorage(baselineStorage);
+    return storage ? new BaselinePersistence(this.baseline, storage, this.config) : null;
+  }
+
+  _createStrategy(name, sensitivity) {
+    const thresholds = SENSITIVITY_THRESHOLDS[sensitivity] ?? SENSITIVITY_THRESHOLDS.medium;
+
+    switch (name) {
+      case 'zscore':
+        return new ZScoreStrategy(thresholds.zscore);
+      case 'ema':
+        return new EMAStrategy(0.3, thresholds.ema);
+      case 'iqr':
+        return new IQRStrategy(thresholds.iqr);
+      case 'threshold':
+        // Budgets are absolute, sensitivity doesn't apply
+        return new ThresholdStrategy(this.config.anomaly.budgets);
+      case 'composite':
+        return new CompositeStrategy(this.config.anomaly.routes, (routed) => {
+          if (routed === 'composite') throw new Error('PerfSDK: composite routes cannot nest "composite"');
+          return this._createStrategy(routed, sensitivity);
+        });
+      default:
+        if (this.config.debug) {
+          console.warn(`[PerfSDK] Unknown anomaly strategy "${name}", falling back to "ema"`);
+        }
+        return new EMAStrategy(0.3, thresholds.ema);
+    }
+  }
+}
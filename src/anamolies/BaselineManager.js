@@ -1,39 +1,97 @@
 import { RingBuffer } from '../utils/RingBuffer.js';
 
+const VALUES_CAPACITY = 500; // Keep last 500 values per metric for percentiles
+
+/** Standard normal quantiles, for seasonal buckets' estimated percentiles */
+const NORMAL_QUANTILES = {
+  p25: -0.6745,
+  p50: 0,
+  p75: 0.6745,
+  p90: 1.2816,
+  p95: 1.6449,
+  p99: 2.3263,
+};
+
+/**
+ * Seasonal bucket key for a wall-clock time
+ */
+const SEASONALITY = {
+  hourOfDay: (d) => `h${d.getHours()}`,
+  dayOfWeek: (d) => `d${d.getDay()}`,
+  hourOfWeek: (d) => `d${d.getDay()}h${d.getHours()}`,
+};
+
 /**
  * Learns "normal" performance baselines per metric.
  * Uses Welford's online algorithm for numerically stable stats.
  *
  * Each metric gets its own independent baseline that adapts over time.
+ *
+ * Optional time decay (halfLifeSeconds):
+ *   Plain Welford weighs a sample from an hour ago the same as one from
+ *   a second ago, so after a few thousand samples the mean barely moves
+ *   and a real shift (e.g. after a deploy) is absorbed far too slowly.
+ *   With a half-life, every sample's weight halves each halfLifeSeconds,
+ *   and getBaseline() reports the decayed mean / stdDev instead.
+ *
+ * Optional seasonality ('hourOfDay' | 'dayOfWeek' | 'hourOfWeek'):
+ *   Values are also recorded into a per-bucket baseline, e.g.
+ *   "api_call@h9". Once a bucket is ready, getBaseline() answers from it,
+ *   so the 9am login rush is compared to other 9am traffic, not to 2am.
+ *   Until then it falls back to the metric's overall baseline.
+ *   Buckets are many (168 per metric with 'hourOfWeek') and all get
+ *   persisted, so they keep summary stats only, no recent values:
+ *   their percentiles are estimated from mean / stdDev, clamped to min / max.
  */
 export class BaselineManager {
   /**
    * @param {number} learningPeriodSeconds
    * @param {number} [sampleRateHz=1]
+   * @param {Object} [options]
+   * @param {number|null} [options.halfLifeSeconds=null] - null = plain (non-decayed) stats
+   * @param {'hourOfDay'|'dayOfWeek'|'hourOfWeek'|null} [options.seasonality=null]
    */
-  constructor(learningPeriodSeconds, sampleRateHz = 1) {
+  constructor(learningPeriodSeconds, sampleRateHz = 1, options = {}) {
     /** @type {Map<string, BaselineData>} */
     this._baselines = new Map();
     this._minSamples = learningPeriodSeconds * sampleRateHz;
+    this._halfLifeMs = options.halfLifeSeconds ? options.halfLifeSeconds * 1000 : null;
+    this._bucketOf = SEASONALITY[options.seasonality] ?? null;
   }
 
   /**
    * Record a new value for a metric
+   * @param {string} metricName
+   * @param {number} value
+   * @param {number} [now=Date.now()] - wall-clock time of the sample
    */
-  record(metricName, value) {
-    if (!this._baselines.has(metricName)) {
-      this._baselines.set(metricName, {
-        values: new RingBuffer(500), // Keep last 500 values
+  record(metricName, value, now = Date.now()) {
+    this._recordInto(metricName, value, now);
+
+    if (this._bucketOf) {
+      this._recordInto(this._bucketKey(metricName, now), value, now);
+    }
+  }
+
+  _recordInto(key, value, now) {
+    if (!this._baselines.has(key)) {
+      this._baselines.set(key, {
+        values: key.includes('@') ? null : new RingBuffer(VALUES_CAPACITY),
         count: 0,
         mean: 0,
         m2: 0, // For Welford's algorithm
         min: Infinity,
         max: -Infinity,
+        // Time-decayed counterparts, only maintained with a half-life
+        ewWeight: 0,
+        ewMean: 0,
+        ewM2: 0,
+        lastTime: now,
       });
     }
 
-    const data = this._baselines.get(metricName);
-    data.values.push(value);
+    const data = this._baselines.get(key);
+    data.values?.push(value);
     data.count++;
 
     // Welford's online algorithm for mean + variance
@@ -45,6 +103,34 @@ export class BaselineManager {
 
     data.min = Math.min(data.min, value);
     data.max = Math.max(data.max, value);
+
+    if (this._halfLifeMs) {
+      this._recordDecayed(data, value, now);
+    }
+  }
+
+  /**
+   * Weighted Welford where existing weight decays with elapsed time:
+   *   weight(sample) = 2^(-age / halfLife)
+   *
+   * Decaying weight and m2 by the same factor leaves mean and variance
+   * untouched — old samples just count for less against the new one.
+   */
+  _recordDecayed(data, value, now) {
+    const elapsed = Math.max(0, now - data.lastTime);
+    const decay = Math.pow(2, -elapsed / this._halfLifeMs);
+    data.lastTime = now;
+
+    data.ewWeight = data.ewWeight * decay + 1;
+    data.ewM2 *= decay;
+
+    const delta = value - data.ewMean;
+    data.ewMean += delta / data.ewWeight;
+    data.ewM2 += delta * (value - data.ewMean);
+  }
+
+  _bucketKey(metricName, now) {
+    return `${metricName}@${this._bucketOf(new Date(now))}`;
   }
 
   /**
@@ -56,42 +142,92 @@ export class BaselineManager {
   }
 
   /**
-   * Get computed baseline stats for a metric
+   * Get computed baseline stats for a metric.
+   * Answers from the current seasonal bucket when it is ready, and with
+   * decayed mean / stdDev when a half-life is configured.
+   *
+   * @param {string} metricName
+   * @param {number} [now=Date.now()]
    */
-  getBaseline(metricName) {
-    const data = this._baselines.get(metricName);
-    if (!data || !this.isReady(metricName)) return null;
+  getBaseline(metricName, now = Date.now()) {
+    if (this._bucketOf) {
+      const bucketKey = this._bucketKey(metricName, now);
+      if (this.isReady(bucketKey)) return this._computeBaseline(bucketKey);
+    }
 
-    const variance = data.count > 1 ? data.m2 / (data.count - 1) : 0;
-    const stdDev = Math.sqrt(variance);
+    if (!this.isReady(metricName)) return null;
+    return this._computeBaseline(metricName);
+  }
 
-    // Compute percentiles from the ring buffer
-    const sorted = data.values.toArray().sort((a, b) => a - b);
-    const n = sorted.length;
+  _computeBaseline(key) {
+    const data = this._baselines.get(key);
+
+    const decayed = this._halfLifeMs !== null && data.ewWeight > 0;
+    const mean = decayed ? data.ewMean : data.mean;
+    let variance;
+    if (decayed) {
+      variance = data.ewWeight > 1 ? data.ewM2 / (data.ewWeight - 1) : 0;
+    } else {
+      variance = data.count > 1 ? data.m2 / (data.count - 1) : 0;
+    }
+    const stdDev = Math.sqrt(variance);
 
     return {
-      mean: data.mean,
+      mean,
       stdDev,
       variance,
       min: data.min,
       max: data.max,
-      p50: sorted[Math.floor(n * 0.5)] ?? 0,
-      p90: sorted[Math.floor(n * 0.9)] ?? 0,
-      p95: sorted[Math.floor(n * 0.95)] ?? 0,
-      p99: sorted[Math.floor(n * 0.99)] ?? 0,
+      ...(data.values ? percentiles(data.values) : estimatedPercentiles(mean, stdDev, data.min, data.max)),
       sampleCount: data.count,
+      // Sum of decayed sample weights — how many samples the stats are "worth"
+      effectiveSampleCount: decayed ? data.ewWeight : data.count,
     };
   }
 
+  /**
+   * Names of all metrics with a baseline (seasonal buckets excluded)
+   * @returns {Array<string>}
+   */
+  getMetricNames() {
+    return [...this._baselines.keys()].filter((key) => !key.includes('@'));
+  }
+
   /**
    * Get raw recent values for a metric
    */
   getValues(metricName) {
-    return this._baselines.get(metricName)?.values.toArray() ?? [];
+    return this._baselines.get(metricName)?.values?.toArray() ?? [];
   }
 
   /**
-   * Serialize baselines to JSON (for persistence across sessions)
+   * Make old samples count for less, without changing mean or variance.
+   * Used when the app version changes: the old baseline is a good prior,
+   * but the new build should be able to move it quickly.
+   * Applies to both the plain and the time-decayed stats.
+   *
+   * @param {number} factor - 0-1, fraction of the sample count to keep
+   */
+  decay(factor) {
+    for (const data of this._baselines.values()) {
+      const keptCount = Math.max(1, Math.floor(data.count * factor));
+      // Scale m2 with the count so variance = m2 / (count - 1) stays put
+      data.m2 = keptCount > 1 ? (data.m2 / Math.max(1, data.count - 1)) * (keptCount - 1) : 0;
+      data.count = keptCount;
+
+      if (data.ewWeight > 0) {
+        const keptWeight = Math.max(1, data.ewWeight * factor);
+        data.ewM2 = keptWeight > 1 && data.ewWeight > 1
+          ? (data.ewM2 / (data.ewWeight - 1)) * (keptWeight - 1)
+          : 0;
+        data.ewWeight = keptWeight;
+      }
+    }
+  }
+
+  /**
+   * Serialize baselines to JSON (for persistence across sessions).
+   * Includes the recent values so percentiles survive a reload.
    */
   serialize() {
     const output = {};
@@ -102,6 +238,11 @@ export class BaselineManager {
         m2: data.m2,
         min: data.min,
         max: data.max,
+        values: data.values?.toArray(),
+        ewWeight: data.ewWeight,
+        ewMean: data.ewMean,
+        ewM2: data.ewM2,
+        lastTime: data.lastTime,
       };
     }
     return JSON.stringify(output);
@@ -114,13 +255,24 @@ export class BaselineManager {
     try {
       const parsed = JSON.parse(json);
       for (const [name, saved] of Object.entries(parsed)) {
+        let values = null;
+        if (!name.includes('@')) {
+          values = new RingBuffer(VALUES_CAPACITY);
+          // Older snapshots carry no values; percentiles then rebuild as samples arrive
+          (saved.values ?? []).forEach((v) => values.push(v));
+        }
+
         this._baselines.set(name, {
-          values: new RingBuffer(500),
+          values,
           count: saved.count,
           mean: saved.mean,
           m2: saved.m2,
           min: saved.min,
           max: saved.max,
+          ewWeight: saved.ewWeight ?? 0,
+          ewMean: saved.ewMean ?? 0,
+          ewM2: saved.ewM2 ?? 0,
+          lastTime: saved.lastTime ?? Date.now(),
         });
       }
     } catch {
@@ -128,3 +280,28 @@ export class BaselineManager {
     }
   }
 }
+
+/**
+ * Percentiles of the recent values
+ * @param {RingBuffer} values
+ */
+function percentiles(values) {
+  const sorted = values.toArray().sort((a, b) => a - b);
+  const n = sorted.length;
+  const result = {};
+  for (const [key, q] of [['p25', 0.25], ['p50', 0.5], ['p75', 0.75], ['p90', 0.9], ['p95', 0.95], ['p99', 0.99]]) {
+    result[key] = sorted[Math.floor(n * q)] ?? 0;
+  }
+  return result;
+}
+
+/**
+ * Percentiles assuming a normal distribution, for baselines without values
+ */
+function estimatedPercentiles(mean, stdDev, min, max) {
+  const result = {};
+  for (const [key, z] of Object.entries(NORMAL_QUANTILES)) {
+    result[key] = Math.min(max, Math.max(min, mean + z * stdDev));
+  }
+  return result;
+}
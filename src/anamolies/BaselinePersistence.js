@@ -0,0 +1,149 @@
+import { normalizeRoute } from '../core/RouteTracker.js';
+
+const KEY_PREFIX = 'perfsdk:baseline';
+const INDEX_KEY = `${KEY_PREFIX}:index`;
+
+/**
+ * Saves BaselineManager state across page loads, so a returning user
+ * doesn't re-enter the blind learning window on every navigation.
+ * A restored metric with enough samples is immediately "ready".
+ *
+ * Storage keys:
+ *   perfsdk:baseline:<appName>:<version>:<route>   → { savedAt, data }
+ *   perfsdk:baseline:<appName>:<route>:version     → last version saved for that route
+ *   perfsdk:baseline:index                         → { [baseline key]: { usedAt, bytes, versionKey } }
+ *
+ * Every route an app is opened on adds a baseline, so the index tracks
+ * their sizes and, past anomaly.persistMaxBytes in total, the least
+ * recently restored or saved ones are removed first.
+ *
+ * When the app version changes, `onVersionChange` decides what happens
+ * to the previous version's baseline:
+ *   'decay' → restore it with its sample count cut to versionDecayFactor (default)
+ *   'reset' → discard it, learn from scratch
+ *   'keep'  → restore it as is
+ */
+export class BaselinePersistence {
+  /**
+   * @param {import('./BaselineManager.js').BaselineManager} baseline
+   * @param {ReturnType<import('../utils/Storage.js').createStorage>} storage
+   * @param {Object} config - merged SDK config
+   */
+  constructor(baseline, storage, config) {
+    this.baseline = baseline;
+    this.storage = storage;
+    this.config = config;
+
+    // Fixed at load: in an SPA the whole session is saved under its entry route.
+    // A template, so /deals/41 and /deals/42 share one baseline.
+    this.route = normalizeRoute(window.location.href, config.routing?.patterns);
+
+    this._saveInterval = null;
+    this._onPageHide = () => this.save();
+  }
+
+  /**
+   * @returns {Promise<boolean>} true if a baseline was restored
+   */
+  async start() {
+    const restored = await this.restore();
+
+    this._saveInterval = setInterval(() => this.save(), this.config.anomaly.persistIntervalMs);
+    window.addEventListener('pagehide', this._onPageHide);
+    return restored;
+  }
+
+  stop() {
+    if (this._saveInterval) clearInterval(this._saveInterval);
+    window.removeEventListener('pagehide', this._onPageHide);
+    return this.save();
+  }
+
+  /**
+   * @returns {Promise<boolean>} true if a baseline was restored
+   */
+  async restore() {
+    try {
+      const { version } = this.config;
+      const saved = await this.storage.get(this._key(version));
+      if (saved) {
+        this.baseline.restore(saved.data);
+        await this._updateIndex(this._key(version), saved.data.length);
+        return true;
+      }
+
+      const previousVersion = await this.storage.get(this._versionKey());
+      if (!previousVersion || previousVersion === version) return false;
+
+      const previous = await this.storage.get(this._key(previousVersion));
+      // One baseline per route; the old version's is never read again
+      await this.storage.remove(this._key(previousVersion));
+      await this._updateIndex(this._key(previousVersion), null);
+
+      const { onVersionChange, versionDecayFactor } = this.config.anomaly;
+      if (!previous || onVersionChange === 'reset') return false;
+
+      this.baseline.restore(previous.data);
+      if (onVersionChange === 'decay') {
+        this.baseline.decay(versionDecayFactor);
+      }
+      return true;
+    } catch {
+      return false; /* storage unavailable, learn from scratch */
+    }
+  }
+
+  async save() {
+    try {
+      const key = this._key(this.config.version);
+      const data = this.baseline.serialize();
+      await this.storage.set(key, { savedAt: Date.now(), data });
+      await this.storage.set(this._versionKey(), this.config.version);
+      await this._updateIndex(key, data.length);
+    } catch {
+      /* quota exceeded — baselines are an optimization, not data */
+    }
+  }
+
+  /**
+   * Mark a baseline as just used (or forget it, with bytes = null), then
+   * evict least recently used baselines until the total fits the budget.
+   * The current route's baseline is never evicted.
+   * @param {string} key
+   * @param {number|null} bytes - serialized size
+   */
+  async _updateIndex(key, bytes) {
+    const index = (await this.storage.get(INDEX_KEY)) ?? {};
+    if (bytes === null) {
+      delete index[key];
+    } else {
+      index[key] = { usedAt: Date.now(), bytes, versionKey: this._versionKey() };
+    }
+
+    const maxBytes = this.config.anomaly.persistMaxBytes ?? Infinity;
+    let total = Object.values(index).reduce((sum, entry) => sum + entry.bytes, 0);
+    const oldestFirst = Object.keys(index)
+      .filter((k) => k !== key)
+      .sort((a, b) => index[a].usedAt - index[b].usedAt);
+
+    for (const evicted of oldestFirst) {
+      if (total <= maxBytes) break;
+      total -= index[evicted].bytes;
+      await this.storage.remove(evicted);
+      if (index[evicted].versionKey !== this._versionKey()) {
+        await this.storage.remove(index[evicted].versionKey);
+      }
+      delete index[evicted];
+    }
+
+    await this.storage.set(INDEX_KEY, index);
+  }
+
+  _key(version) {
+    return `${KEY_PREFIX}:${this.config.appName}:${version}:${this.route}`;
+  }
+
+  _versionKey() {
+    return `${KEY_PREFIX}:${this.config.appName}:${this.route}:version`;
+  }
+}
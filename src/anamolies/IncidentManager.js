@@ -0,0 +1,221 @@
+import { generateId } from '../utils/id.js';
+
+/**
+ * Groups raw anomalies into incidents so one outage is one alert, not hundreds.
+ *
+ *   anomaly:detected (raw, every occurrence)
+ *        │
+ *        ▼
+ *   IncidentManager ──anomaly:reported──► Transport / onAnomaly
+ *                   ──anomaly:resolved──►
+ *
+ * Fingerprint = anomaly type + metric name + key tags (url, method, ...).
+ * Anomalies sharing a fingerprint belong to the same open incident:
+ *  - the first one is reported immediately
+ *  - repeats inside the cooldown only update count / lastSeen / peakScore
+ *  - after the cooldown, a still-firing incident is reported again with its count
+ *  - an escalation from warning to critical is reported immediately
+ *
+ * An incident resolves when:
+ *  - its metric, with the same fingerprint tags (a healthy /bar call says
+ *    nothing about /foo), is back within resolveSigma·σ of baseline for
+ *    resolveAfterSamples consecutive samples, or
+ *  - nothing matched it for resolveAfterMs (metrics like api_error
+ *    have no "healthy" value to come back to)
+ */
+export class IncidentManager {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   * @param {Object} config - merged SDK config
+   * @param {import('./BaselineManager.js').BaselineManager|null} [baseline]
+   */
+  constructor(eventBus, config, baseline = null) {
+    this.eventBus = eventBus;
+    this.config = config;
+    this.baseline = baseline;
+    this.isRunning = false;
+
+    const { cooldownMs, resolveAfterMs, resolveAfterSamples, resolveSigma, fingerprintTags } = config.anomaly;
+    this.cooldownMs = cooldownMs;
+    this.resolveAfterMs = resolveAfterMs;
+    this.resolveAfterSamples = resolveAfterSamples;
+    this.resolveSigma = resolveSigma;
+    this.fingerprintTags = fingerprintTags;
+
+    /** @type {Map<string, Incident>} open incidents by fingerprint */
+    this._open = new Map();
+
+    /** @type {Map<string, {type: string, severity: string, count: number}>} raw occurrences */
+    this._counts = new Map();
+
+    this._subscriptions = [];
+    this._sweepInterval = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    this._subscriptions.push(
+      this.eventBus.on('anomaly:detected', (event) => this._onAnomaly(event.payload, event.source)),
+      this.eventBus.on('metric:collected', (event) => this._onMetric(event.payload))
+    );
+
+    this._sweepInterval = setInterval(() => this._resolveQuiet(), Math.min(this.resolveAfterMs, 10000));
+  }
+
+  stop() {
+    this._subscriptions.forEach((unsub) => unsub());
+    this._subscriptions = [];
+    if (this._sweepInterval) clearInterval(this._sweepInterval);
+    this.isRunning = false;
+  }
+
+  /**
+   * Currently open incidents
+   * @returns {Array<Object>}
+   */
+  getOpenIncidents() {
+    return [...this._open.values()].map((incident) => this._summarize(incident));
+  }
+
+  hasOpenIncidents() {
+    return this._open.size > 0;
+  }
+
+  /**
+   * Raw anomaly occurrences since start, by type and severity (before dedup)
+   * @returns {Array<{type: string, severity: string, count: number}>}
+   */
+  getAnomalyCounts() {
+    return [...this._counts.values()].map((entry) => ({ ...entry }));
+  }
+
+  fingerprint(anomaly) {
+    const tags = this._fingerprintTags(anomaly.metric?.tags, anomaly.context);
+    const parts = [anomaly.type, anomaly.metric?.name ?? 'unknown'];
+    for (const [key, value] of Object.entries(tags)) parts.push(`${key}=${value}`);
+    return parts.join('|');
+  }
+
+  /**
+   * The fingerprintTags values present on a metric (or, for anomalies
+   * raised by collectors, in their context)
+   * @returns {Object<string, *>}
+   */
+  _fingerprintTags(tags = {}, context = {}) {
+    const result = {};
+    for (const key of this.fingerprintTags) {
+      const value = tags?.[key] ?? context?.[key];
+      if (value !== undefined && value !== null) result[key] = value;
+    }
+    return result;
+  }
+
+  _onAnomaly(anomaly, source) {
+    if (!anomaly) return;
+
+    const countKey = `${anomaly.type}|${anomaly.severity}`;
+    const counter = this._counts.get(countKey) ?? { type: anomaly.type, severity: anomaly.severity, count: 0 };
+    counter.count++;
+    this._counts.set(countKey, counter);
+
+    const now = Date.now();
+    const fingerprint = this.fingerprint(anomaly);
+    let incident = this._open.get(fingerprint);
+
+    if (!incident) {
+      incident = {
+        id: generateId(),
+        fingerprint,
+        metricName: anomaly.metric?.name ?? null,
+        tags: this._fingerprintTags(anomaly.metric?.tags, anomaly.context),
+        source,
+        count: 0,
+        firstSeen: now,
+        lastSeen: now,
+        lastReported: 0,
+        peakScore: 0,
+        severity: anomaly.severity,
+        healthyStreak: 0,
+      };
+      this._open.set(fingerprint, incident);
+    }
+
+    const escalated = incident.severity !== 'critical' && anomaly.severity === 'critical';
+
+    incident.count++;
+    incident.lastSeen = now;
+    incident.healthyStreak = 0;
+    incident.peakScore = Math.max(incident.peakScore, anomaly.score ?? 0);
+    if (escalated) incident.severity = 'critical';
+
+    if (!escalated && now - incident.lastReported < this.cooldownMs) return;
+
+    incident.lastReported = now;
+    this.eventBus.emit('anomaly:reported', 'IncidentManager', {
+      ...anomaly,
+      severity: incident.severity,
+      incident: this._summarize(incident),
+    });
+  }
+
+  /**
+   * Track recovery for metrics with an open incident
+   */
+  _onMetric(metric) {
+    if (!this.baseline || this._open.size === 0 || typeof metric?.value !== 'number') return;
+
+    const base = this.baseline.getBaseline(metric.name);
+    if (!base) return;
+
+    const healthy = Math.abs(metric.value - base.mean) <= this.resolveSigma * base.stdDev;
+
+    const tags = this._fingerprintTags(metric.tags);
+    for (const incident of this._open.values()) {
+      if (incident.metricName !== metric.name || !sameTags(incident.tags, tags)) continue;
+
+      incident.healthyStreak = healthy ? incident.healthyStreak + 1 : 0;
+      if (incident.healthyStreak >= this.resolveAfterSamples) {
+        this._resolve(incident, 'baseline');
+      }
+    }
+  }
+
+  _resolveQuiet() {
+    const now = Date.now();
+    for (const incident of this._open.values()) {
+      if (now - incident.lastSeen >= this.resolveAfterMs) {
+        this._resolve(incident, 'quiet');
+      }
+    }
+  }
+
+  _resolve(incident, reason) {
+    this._open.delete(incident.fingerprint);
+    this.eventBus.emit('anomaly:resolved', 'IncidentManager', {
+      ...this._summarize(incident),
+      reason,
+      resolvedAt: Date.now(),
+    });
+  }
+
+  _summarize(incident) {
+    return {
+      id: incident.id,
+      fingerprint: incident.fingerprint,
+      metricName: incident.metricName,
+      severity: incident.severity,
+      count: incident.count,
+      firstSeen: incident.firstSeen,
+      lastSeen: incident.lastSeen,
+      durationMs: incident.lastSeen - incident.firstSeen,
+      peakScore: incident.peakScore,
+    };
+  }
+}
+
+function sameTags(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => String(a[key]) === String(b[key]));
+}
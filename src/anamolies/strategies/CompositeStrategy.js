@@ -0,0 +1,128 @@
+/**
+ * Routes used when config.anomaly.routes is not set.
+ * Each metric picks the strategy that fits its distribution.
+ */
+export const DEFAULT_ROUTES = [
+  { match: /^heap_/, strategies: ['ema'] },
+  { match: ['api_call', 'slow_resource'], strategies: ['iqr'] },
+  { match: '*', strategies: ['zscore'] },
+];
+
+/**
+ * Composite (ensemble) Strategy
+ *
+ * Routes each metric to one or more strategies and combines their verdicts,
+ * so one SDK instance can watch heap_used for drift (EMA) and api_call for
+ * spikes (IQR / Z-Score) at the same time.
+ *
+ * Route shape (config.anomaly.routes, first match wins):
+ *   {
+ *     match: 'api_call' | 'api_*' | /^heap_/ | ['fps', 'jank_count'],
+ *     strategies: ['zscore', 'iqr'],
+ *     combine: 'any' | 'majority' | 'weighted',   // default 'any'
+ *     weights: { zscore: 2, iqr: 1 },              // 'weighted' only, default 1 each
+ *     minScore: 0.5,                               // 'weighted' only
+ *   }
+ *
+ * How combine works:
+ *   any      → one strategy firing is enough
+ *   majority → more than half of the routed strategies must fire
+ *   weighted → Σ(weight·score) / Σ(weight) must reach minScore
+ *              (strategies that didn't fire contribute score 0)
+ */
+export class CompositeStrategy {
+  /**
+   * @param {Array<Object>|null} routes
+   * @param {(name: string) => {name: string, detect: Function}} createStrategy
+   */
+  constructor(routes, createStrategy) {
+    this.name = 'composite';
+
+    /** @type {Map<string, Object>} one instance per strategy name (EMA keeps state) */
+    this._strategies = new Map();
+
+    this.routes = (routes ?? DEFAULT_ROUTES).map((route) => {
+      for (const name of route.strategies) {
+        if (!this._strategies.has(name)) {
+          this._strategies.set(name, createStrategy(name));
+        }
+      }
+      return {
+        combine: 'any',
+        weights: {},
+        minScore: 0.5,
+        ...route,
+        _test: this._compileMatcher(route.match),
+      };
+    });
+  }
+
+  /**
+   * @param {object} metric
+   * @param {import('../BaselineManager').BaselineManager} baseline
+   * @returns {object|null} AnomalyEvent or null
+   */
+  detect(metric, baseline) {
+    const route = this.routes.find((r) => r._test(metric.name));
+    if (!route) return null;
+
+    /** @type {Array<{name: string, anomaly: object}>} */
+    const fired = [];
+    for (const name of route.strategies) {
+      // Every strategy runs, even after one fires: EMA must keep its trend updated
+      const anomaly = this._strategies.get(name).detect(metric, baseline);
+      if (anomaly) fired.push({ name, anomaly });
+    }
+
+    if (fired.length === 0) return null;
+
+    const total = route.strategies.length;
+    let score = Math.max(...fired.map((f) => f.anomaly.score));
+
+    switch (route.combine) {
+      case 'majority':
+        if (fired.length * 2 <= total) return null;
+        break;
+      case 'weighted': {
+        const weightOf = (name) => route.weights[name] ?? 1;
+        const totalWeight = route.strategies.reduce((sum, name) => sum + weightOf(name), 0);
+        score = fired.reduce((sum, f) => sum + weightOf(f.name) * f.anomaly.score, 0) / totalWeight;
+        if (score < route.minScore) return null;
+        break;
+      }
+      default:
+        break;
+    }
+
+    // The strongest individual verdict describes the anomaly
+    const primary = fired.reduce((best, f) => (f.anomaly.score > best.anomaly.score ? f : best));
+    const agreed = fired.map((f) => f.name);
+
+    return {
+      ...primary.anomaly,
+      severity: fired.some((f) => f.anomaly.severity === 'critical') ? 'critical' : 'warning',
+      message: `${primary.anomaly.message} [${agreed.join(' + ')}, ${fired.length}/${total}]`,
+      score: Math.min(1, score),
+      context: {
+        strategy: 'composite',
+        combine: route.combine,
+        agreed,
+        routed: route.strategies,
+        votes: `${fired.length}/${total}`,
+        byStrategy: Object.fromEntries(fired.map((f) => [f.name, f.anomaly.context])),
+      },
+    };
+  }
+
+  _compileMatcher(match) {
+    if (match instanceof RegExp) return (name) => match.test(name);
+    if (Array.isArray(match)) return (name) => match.includes(name);
+    if (match === '*') return () => true;
+    if (typeof match === 'string' && match.includes('*')) {
+      const escaped = match.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      const pattern = new RegExp(`^${escaped}$`);
+      return (name) => pattern.test(name);
+    }
+    return (name) => name === match;
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Interquartile Range (IQR) Strategy — Tukey's fences
+ *
+ * Flags values above Q3 + k·IQR, where IQR = Q3 - Q1.
+ * Quartiles come from the recent values in the baseline's ring buffer,
+ * so a handful of huge outliers can't drag the threshold up the way
+ * they inflate a mean / stdDev.
+ *
+ * Best for: heavy-tailed metrics (api_call, slow_resource)
+ * Only the upper fence is checked — an API call being unusually FAST
+ * is not a performance problem.
+ *
+ *        Q1   Q3
+ *   ├────[████]────────┼─────────────────
+ *              ←IQR→   ↑ Q3 + k·IQR
+ *                        anything beyond is anomalous
+ *
+ * How k works:
+ *   k = 1.5 → classic "outlier"
+ *   k = 2   → default
+ *   k = 3   → "far out", only the extreme tail
+ */
+export class IQRStrategy {
+  /**
+   * @param {number} k - IQR multiplier for the upper fence (default 2)
+   */
+  constructor(k = 2) {
+    this.name = 'iqr';
+    this.k = k;
+  }
+
+  /**
+   * @param {object} metric
+   * @param {import('../BaselineManager').BaselineManager} baseline
+   * @returns {object|null} AnomalyEvent or null
+   */
+  detect(metric, baseline) {
+    const base = baseline.getBaseline(metric.name);
+    if (!base) return null;
+
+    const q1 = base.p25;
+    const q3 = base.p75;
+    const iqr = q3 - q1;
+    if (iqr === 0) return null;
+
+    const upperFence = q3 + this.k * iqr;
+    if (metric.value <= upperFence) return null;
+
+    // How many IQRs past Q3 — comparable to "how many σ" in ZScoreStrategy
+    const distance = (metric.value - q3) / iqr;
+    const isCritical = distance > this.k * 2;
+
+    return {
+      type: 'spike',
+      severity: isCritical ? 'critical' : 'warning',
+      metric,
+      message: `${metric.name} = ${metric.value.toFixed(2)}${metric.unit} is ${distance.toFixed(1)}×IQR above Q3 (${q3.toFixed(2)}${metric.unit})`,
+      baseline: { mean: base.mean, stdDev: base.stdDev },
+      score: Math.min(1, distance / (this.k * 2)),
+      timestamp: Date.now(),
+      context: {
+        strategy: 'iqr',
+        q1,
+        q3,
+        iqr,
+        k: this.k,
+        upperFence,
+        p95: base.p95,
+        p99: base.p99,
+      },
+    };
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Static Threshold Strategy
+ *
+ * Compares each metric against a declarative budget instead of a learned
+ * baseline, so it alerts from the very first sample — no learning period.
+ *
+ * Budget shape (config.anomaly.budgets):
+ *   {
+ *     api_call: {
+ *       warning: 1000,
+ *       critical: 3000,
+ *       byTag: {                       // optional, first matching tag wins
+ *         method: { POST: { warning: 2000, critical: 5000 } },
+ *         route: { '/reports': { critical: 8000 } },
+ *       },
+ *     },
+ *     fps: { warning: 30, critical: 15, direction: 'below' }, // lower is worse
+ *   }
+ *
+ * Pass the merged config's budgets: mergeConfig() already lays user
+ * budgets over the defaults per metric name, so overriding `api_call`
+ * doesn't wipe out `long_task`.
+ *
+ * Collectors use classify() too (via BaseCollector.severityOf), so the
+ * severity tag on a metric and the anomaly raised for it always agree.
+ */
+export class ThresholdStrategy {
+  /**
+   * @param {Object<string, Object>} [budgets] - per-metric budgets
+   */
+  constructor(budgets = {}) {
+    this.name = 'threshold';
+    this.budgets = budgets;
+  }
+
+  /**
+   * Resolve the effective budget for a metric, applying tag overrides
+   * @returns {{warning?: number, critical?: number}|null}
+   */
+  budgetFor(name, tags = {}) {
+    const budget = this.budgets[name];
+    if (!budget) return null;
+
+    const { byTag, ...base } = budget;
+    if (byTag) {
+      for (const [tagKey, overrides] of Object.entries(byTag)) {
+        const override = overrides[tags[tagKey]];
+        if (override) return { ...base, ...override };
+      }
+    }
+    return base;
+  }
+
+  /**
+   * @param {object} metric
+   * @returns {'info'|'warning'|'critical'|null} null if the metric has no budget
+   */
+  classify(metric) {
+    const budget = this.budgetFor(metric.name, metric.tags);
+    if (!budget) return null;
+
+    if (exceeds(budget, metric.value, budget.critical)) return 'critical';
+    if (exceeds(budget, metric.value, budget.warning)) return 'warning';
+    return 'info';
+  }
+
+  /**
+   * @param {object} metric
+   * @returns {object|null} AnomalyEvent or null
+   */
+  detect(metric) {
+    const severity = this.classify(metric);
+    if (severity !== 'warning' && severity !== 'critical') return null;
+
+    const budget = this.budgetFor(metric.name, metric.tags);
+    const limit = budget[severity];
+    const below = budget.direction === 'below';
+    const score = below
+      ? (budget.critical ?? budget.warning / 2) / Math.max(metric.value, Number.EPSILON)
+      : metric.value / (budget.critical ?? budget.warning * 2);
+
+    return {
+      type: 'threshold_breach',
+      severity,
+      metric,
+      message: `${metric.name} = ${metric.value.toFixed(2)}${metric.unit} ${below ? 'falls below' : 'exceeds'} ${severity} budget of ${limit}${metric.unit}`,
+      baseline: null,
+      score: Math.min(1, score),
+      timestamp: Date.now(),
+      context: {
+        strategy: 'threshold',
+        budget,
+        exceededBy: below ? limit - metric.value : metric.value - limit,
+      },
+    };
+  }
+}
+
+function exceeds(budget, value, limit) {
+  if (limit === undefined) return false;
+  return budget.direction === 'below' ? value < limit : value > limit;
+}
@@ -1,3 +1,5 @@
+import { ThresholdStrategy } from '../anamolies/strategies/ThresholdStrategy.js';
+
 /**
  * Abstract base class for all metric collectors.
  * Each collector observes one category of performance data.
@@ -18,6 +20,19 @@ export class BaseCollector {
     this.config = config;
     this.isRunning = false;
     this.collectorName = this.constructor.name;
+
+    /** @type {import('../core/RateLimiter.js').RateLimiter|null} set by PerfSDK */
+    this.rateLimiter = null;
+
+    /** @type {import('../core/RouteTracker.js').RouteTracker|null} set by PerfSDK */
+    this.routeTracker = null;
+
+    /**
+     * Sees every metric before rate limiting, so a dropped long task can
+     * still explain a slow interaction
+     * @type {import('./InteractionCorrelator.js').InteractionCorrelator|null} set by PerfSDK
+     */
+    this.correlator = null;
   }
 
   start() {
@@ -32,12 +47,45 @@ export class BaseCollector {
     return [];
   }
 
+  /**
+   * Current state without side effects. Collectors whose collect() drains
+   * a buffer override this to return a copy instead.
+   */
+  snapshot() {
+    return this.collect();
+  }
+
   emit(metric) {
+    this.correlator?.observe(metric);
+    if (this.rateLimiter && !this.rateLimiter.tryAcquire(metric.name)) return;
+
     metric.timestamp = metric.timestamp || performance.now();
+    if (this.routeTracker && metric.tags?.route === undefined) {
+      metric.tags = { ...metric.tags, route: this.routeTracker.route };
+    }
     this.eventBus.emit('metric:collected', this.collectorName, metric);
   }
 
   emitBatch(metrics) {
     metrics.forEach((m) => this.emit(m));
   }
+
+  /**
+   * Budgets from config.anomaly.budgets, shared with the 'threshold' strategy
+   * @returns {ThresholdStrategy}
+   */
+  get thresholds() {
+    if (!this._thresholds) {
+      this._thresholds = new ThresholdStrategy(this.config.anomaly?.budgets);
+    }
+    return this._thresholds;
+  }
+
+  /**
+   * Severity of a value against its budget. 'info' if the metric has none.
+   * @returns {'info'|'warning'|'critical'}
+   */
+  severityOf(name, value, tags = {}) {
+    return this.thresholds.classify({ name, value, tags }) ?? 'info';
+  }
 }
\ No newline at end of file
@@ -70,15 +70,11 @@ export class CPUCollector extends BaseCollector {
         this._jankCount++;
         const missedFrames = Math.floor(delta / 16.67) - 1;
 
-        let severity = 'info';
-        if (delta > 200) severity = 'critical';
-        else if (delta > 100) severity = 'warning';
-
         this.emit({
           name: 'frame_drop',
           value: Math.round(delta * 100) / 100,
           unit: 'ms',
-          tags: { severity },
+          tags: { severity: this.severityOf('frame_drop', delta) },
           metadata: {
             missedFrames,
             currentFPS: this._getCurrentFPS(),
@@ -131,7 +127,7 @@ export class CPUCollector extends BaseCollector {
           value: fps,
           unit: 'fps',
           tags: {
-            severity: fps < 15 ? 'critical' : fps < 30 ? 'warning' : 'info',
+            severity: this.severityOf('fps', fps),
           },
           metadata: {
             tbt: this._tbt,
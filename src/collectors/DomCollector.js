@@ -0,0 +1,429 @@
+import { BaseCollector } from './BaseCollector.js';
+import { getSelector } from '../utils/selector.js';
+
+/**
+ * Layout-reading properties that force a synchronous reflow when the DOM
+ * has pending changes
+ */
+const LAYOUT_GETTERS = {
+  HTMLElement: ['offsetTop', 'offsetLeft', 'offsetWidth', 'offsetHeight', 'offsetParent', 'innerText'],
+  Element: ['clientTop', 'clientLeft', 'clientWidth', 'clientHeight', 'scrollTop', 'scrollLeft', 'scrollWidth', 'scrollHeight'],
+};
+const LAYOUT_METHODS = {
+  Element: ['getBoundingClientRect', 'getClientRects'],
+};
+
+/**
+ * Captures:
+ *  - DOM node count explosion
+ *  - DOM depth and the largest subtree
+ *  - Mutation rate (records per second)
+ *  - Top-N growing subtrees, by stable selector
+ *  - Layout thrashing (forced reflows inside a mutation burst), opt-in:
+ *    config.dom.layoutThrashing wraps every layout getter on the page,
+ *    which is too heavy to leave on. Without it, forced layout still
+ *    shows up per frame and per script in long_animation_frame
+ *    (forcedStyleAndLayoutDuration).
+ */
+export class DomCollector extends BaseCollector {
+  constructor(eventBus, config) {
+    super(eventBus, config);
+    this._mutationObserver = null;
+    this._scanInterval = null;
+
+    this._SCAN_INTERVAL_MS = 10000;
+    this._TOP_GROWING = 5;
+    this._MIN_GROWTH = 20; // nodes per scan interval before a subtree counts as growing
+    this._MAX_TRACKED_SELECTORS = 100;
+    this._THRASH_MIN_REFLOWS = 2; // one forced reflow is normal, alternating write/read is not
+    this._WRAPPER_SHARE = 0.9; // child holding this much of its parent is just a wrapper
+    this._DOMINANT_SHARE = 0.5;
+
+    this._nodeCount = 0;
+    this._depth = 0;
+    this._largestSubtree = 0;
+    this._mutationRate = 0;
+
+    this._mutationCount = 0;
+    this._windowStart = 0;
+
+    /** @type {WeakMap<Element, number>} subtree sizes at the previous scan */
+    this._lastSizes = new WeakMap();
+    /** @type {Map<string, number>} net nodes added under each selector since start */
+    this._totalGrowth = new Map();
+
+    /** Forced reflows in the current frame */
+    this._burst = null;
+    this._patches = [];
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    this._windowStart = performance.now();
+    this._observeMutations();
+    if (this.config.dom.layoutThrashing) this._patchLayoutReads();
+    this._scan();
+    this._scanInterval = setInterval(() => this._scheduleScan(), this._SCAN_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this._scanInterval) clearInterval(this._scanInterval);
+    this._mutationObserver?.disconnect();
+    this._mutationObserver = null;
+    this._restoreLayoutReads();
+    this._lastSizes = new WeakMap();
+    this._burst = null;
+    this.isRunning = false;
+  }
+
+  collect() {
+    return [
+      { name: 'dom_nodes', value: this._nodeCount, unit: 'count', tags: {} },
+      { name: 'dom_depth', value: this._depth, unit: 'count', tags: {} },
+      { name: 'dom_largest_subtree', value: this._largestSubtree, unit: 'count', tags: {} },
+      { name: 'dom_mutation_rate', value: this._mutationRate, unit: 'mutations/s', tags: {} },
+    ];
+  }
+
+  /**
+   * Watch for DOM node count explosion.
+   * CRM apps often leak DOM nodes via:
+   *  - Modals that aren't properly destroyed
+   *  - Infinite scroll items never reclaimed
+   *  - Tooltip/dropdown overlays accumulating
+   *
+   * Between scans the count is kept up to date from the added / removed
+   * elements of each record (their descendants aren't walked, that would
+   * cost a subtree traversal per inserted node); each scan recounts
+   * exactly to correct the drift.
+   */
+  _observeMutations() {
+    this._nodeCount = document.getElementsByTagName('*').length;
+
+    this._mutationObserver = new MutationObserver((mutations) => this._onMutations(mutations));
+
+    // Thrashing detection needs attribute writes too: class / style changes invalidate layout like inserts
+    const layoutWrites = Boolean(this.config.dom.layoutThrashing);
+    this._mutationObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: layoutWrites,
+      characterData: layoutWrites,
+    });
+  }
+
+  _onMutations(mutations) {
+    let added = 0;
+    let removed = 0;
+
+    for (const mutation of mutations) {
+      if (mutation.type !== 'childList') continue;
+      for (const node of mutation.addedNodes) if (node.nodeType === 1) added++;
+      for (const node of mutation.removedNodes) if (node.nodeType === 1) removed++;
+    }
+
+    this._mutationCount += mutations.length;
+    if (added === 0 && removed === 0) return;
+
+    this._nodeCount = Math.max(0, this._nodeCount + added - removed);
+
+    const severity = this.severityOf('dom_node_count', this._nodeCount);
+
+    if (severity !== 'info') {
+      this.emit({
+        name: 'dom_node_count',
+        value: this._nodeCount,
+        unit: 'count',
+        tags: {
+          severity,
+          netDelta: `${added >= removed ? '+' : ''}${added - removed}`,
+        },
+      });
+    }
+  }
+
+  /**
+   * Layout thrashing: write, read, write, read... within one frame.
+   *
+   * Every layout read is wrapped. If the MutationObserver has records
+   * that haven't been delivered yet (takeRecords), the DOM changed since
+   * the last layout and this read forces the browser to lay out now.
+   * Two or more forced reflows before the next frame = thrashing.
+   *
+   *   el.style.height = '10px';   ← write (pending mutation record)
+   *   el.offsetHeight;            ← forced reflow #1
+   *   el2.classList.add('x');     ← write
+   *   el2.offsetTop;              ← forced reflow #2 → thrashing
+   *
+   * Records taken here are fed through the normal mutation handler, so
+   * nothing is lost for the node count or mutation rate.
+   */
+  _patchLayoutReads() {
+    const collector = this;
+
+    for (const [ctor, props] of Object.entries(LAYOUT_GETTERS)) {
+      const proto = globalThis[ctor]?.prototype;
+      if (!proto) continue;
+
+      for (const prop of props) {
+        const descriptor = Object.getOwnPropertyDescriptor(proto, prop);
+        if (!descriptor?.get || !descriptor.configurable) continue;
+
+        Object.defineProperty(proto, prop, {
+          ...descriptor,
+          get() {
+            collector._onLayoutRead(prop, this);
+            return descriptor.get.call(this);
+          },
+        });
+        this._patches.push({ proto, prop, descriptor });
+      }
+    }
+
+    for (const [ctor, methods] of Object.entries(LAYOUT_METHODS)) {
+      const proto = globalThis[ctor]?.prototype;
+      if (!proto) continue;
+
+      for (const method of methods) {
+        const descriptor = Object.getOwnPropertyDescriptor(proto, method);
+        if (typeof descriptor?.value !== 'function' || !descriptor.configurable) continue;
+
+        const original = descriptor.value;
+        Object.defineProperty(proto, method, {
+          ...descriptor,
+          value: function (...args) {
+            collector._onLayoutRead(method, this);
+            return original.apply(this, args);
+          },
+        });
+        this._patches.push({ proto, prop: method, descriptor });
+      }
+    }
+  }
+
+  _restoreLayoutReads() {
+    for (const { proto, prop, descriptor } of this._patches) {
+      Object.defineProperty(proto, prop, descriptor);
+    }
+    this._patches = [];
+  }
+
+  _onLayoutRead(property, element) {
+    if (!this._mutationObserver) return;
+
+    const pending = this._mutationObserver.takeRecords();
+    if (pending.length === 0) return;
+    this._onMutations(pending);
+
+    if (!this._burst) {
+      this._burst = { reflows: 0, reads: {}, startTime: performance.now(), element };
+      const close = () => this._closeBurst();
+      if (typeof requestAnimationFrame === 'function') requestAnimationFrame(close);
+      else setTimeout(close, 16);
+    }
+
+    this._burst.reflows++;
+    this._burst.reads[property] = (this._burst.reads[property] ?? 0) + 1;
+  }
+
+  _closeBurst() {
+    const burst = this._burst;
+    this._burst = null;
+    if (!burst || burst.reflows < this._THRASH_MIN_REFLOWS) return;
+
+    const severity = this.severityOf('layout_thrashing', burst.reflows);
+
+    this.emit({
+      name: 'layout_thrashing',
+      value: burst.reflows,
+      unit: 'reflows',
+      tags: { severity },
+      metadata: {
+        reads: burst.reads,
+        selector: getSelector(burst.element),
+        durationMs: Math.round((performance.now() - burst.startTime) * 100) / 100,
+      },
+    });
+  }
+
+  _scheduleScan() {
+    if (typeof requestIdleCallback === 'function') {
+      requestIdleCallback(() => this._scan(), { timeout: this._SCAN_INTERVAL_MS });
+    } else {
+      this._scan();
+    }
+  }
+
+  /**
+   * One pass over the element tree: exact node count, depth, subtree
+   * sizes. Then report depth, the largest subtree, mutation rate and the
+   * subtrees that grew the most since the previous scan.
+   */
+  _scan() {
+    if (!this.isRunning) return;
+
+    const { count, depth, deepest, sizes } = measureTree(document.documentElement);
+    this._nodeCount = count;
+    this._depth = depth;
+
+    const now = performance.now();
+    const elapsedSeconds = (now - this._windowStart) / 1000;
+    this._mutationRate = elapsedSeconds > 0 ? Math.round((this._mutationCount / elapsedSeconds) * 10) / 10 : 0;
+    this._mutationCount = 0;
+    this._windowStart = now;
+
+    this.emit({
+      name: 'dom_depth',
+      value: depth,
+      unit: 'count',
+      tags: { severity: this.severityOf('dom_depth', depth) },
+      metadata: { selector: getSelector(deepest) },
+    });
+
+    const largest = this._findLargestSubtree(sizes);
+    if (largest) {
+      this._largestSubtree = sizes.get(largest);
+      this.emit({
+        name: 'dom_largest_subtree',
+        value: this._largestSubtree,
+        unit: 'count',
+        tags: {},
+        metadata: { selector: getSelector(largest), share: Math.round((this._largestSubtree / count) * 100) / 100 },
+      });
+    }
+
+    this.emit({
+      name: 'dom_mutation_rate',
+      value: this._mutationRate,
+      unit: 'mutations/s',
+      tags: {},
+    });
+
+    this._reportGrowingSubtrees(this._growthSinceLastScan(sizes), sizes);
+    this._lastSizes = new WeakMap(sizes);
+  }
+
+  /**
+   * Net elements added directly under each element since the previous
+   * scan: its subtree growth minus what its (already present) children
+   * grew themselves. New children count in full for their parent, so a
+   * list that gained 40 rows shows +40 on the list, not on <body>.
+   *
+   * @returns {Map<Element, number>}
+   */
+  _growthSinceLastScan(sizes) {
+    const growth = new Map();
+
+    for (const [element, size] of sizes) {
+      const previous = this._lastSizes.get(element);
+      if (previous === undefined || size === previous) continue;
+
+      const delta = size - previous;
+      growth.set(element, (growth.get(element) ?? 0) + delta);
+
+      const parent = element.parentElement;
+      if (parent && this._lastSizes.has(parent)) {
+        growth.set(parent, (growth.get(parent) ?? 0) - delta);
+      }
+    }
+
+    return growth;
+  }
+
+  /**
+   * The biggest region of the page, skipping wrappers: from <body>, keep
+   * descending while one child holds nearly all of its parent's nodes
+   * (#root, #app, layout shells). Where the tree branches, the region is
+   * the dominant child, or the parent itself when no child dominates
+   * (a list of many small rows).
+   */
+  _findLargestSubtree(sizes) {
+    let parent = document.body;
+    if (!parent) return null;
+
+    for (;;) {
+      let largest = null;
+      for (let child = parent.firstElementChild; child; child = child.nextElementSibling) {
+        if (!largest || sizes.get(child) > sizes.get(largest)) largest = child;
+      }
+      if (!largest) return parent;
+
+      const share = sizes.get(largest) / (sizes.get(parent) - 1);
+      if (share < this._DOMINANT_SHARE) return parent;
+      if (share < this._WRAPPER_SHARE) return largest;
+      parent = largest;
+    }
+  }
+
+  _reportGrowingSubtrees(growth, sizes) {
+    const growing = [...growth.entries()]
+      .filter(([, delta]) => delta >= this._MIN_GROWTH)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this._TOP_GROWING);
+
+    for (const [element, delta] of growing) {
+      const selector = getSelector(element);
+      const total = (this._totalGrowth.get(selector) ?? 0) + delta;
+      this._totalGrowth.set(selector, total);
+
+      this.emit({
+        name: 'dom_subtree_growth',
+        value: delta,
+        unit: 'count',
+        tags: { selector },
+        metadata: {
+          totalGrowth: total,
+          subtreeSize: sizes.get(element) ?? null,
+          intervalMs: this._SCAN_INTERVAL_MS,
+        },
+      });
+    }
+
+    // Keep the cumulative totals bounded: forget the least grown selectors
+    if (this._totalGrowth.size > this._MAX_TRACKED_SELECTORS) {
+      const keep = [...this._totalGrowth.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, this._MAX_TRACKED_SELECTORS);
+      this._totalGrowth = new Map(keep);
+    }
+  }
+}
+
+/**
+ * Iterative walk (no recursion limit on deep trees).
+ * @returns {{count: number, depth: number, deepest: Element|null, sizes: Map<Element, number>}}
+ *   sizes = elements in each subtree, the element itself included
+ */
+function measureTree(root) {
+  const order = [];
+  const stack = [[root, 1]];
+  let depth = 0;
+  let deepest = null;
+
+  while (stack.length > 0) {
+    const [element, level] = stack.pop();
+    order.push(element);
+    if (level > depth) {
+      depth = level;
+      deepest = element;
+    }
+    for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+      stack.push([child, level + 1]);
+    }
+  }
+
+  // Reverse pre-order visits every child before its parent
+  const sizes = new Map();
+  for (let i = order.length - 1; i >= 0; i--) {
+    const element = order[i];
+    const size = (sizes.get(element) ?? 0) + 1;
+    sizes.set(element, size);
+    if (element !== root) {
+      sizes.set(element.parentElement, (sizes.get(element.parentElement) ?? 0) + size);
+    }
+  }
+
+  return { count: order.length, depth, deepest, sizes };
+}
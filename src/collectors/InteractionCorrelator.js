@@ -0,0 +1,257 @@
+import { BaseCollector } from './BaseCollector.js';
+import { RingBuffer } from '../utils/RingBuffer.js';
+
+const MAX_LISTED = 5;
+
+const PHASE_LABELS = {
+  input_delay: 'input delay',
+  processing: 'processing',
+  presentation: 'presentation delay',
+};
+
+/**
+ * Explains slow interactions. For every slow_interaction (Event Timing,
+ * >= 100ms) it gathers what else happened on the main thread at the time
+ * and emits one 'interaction_breakdown' record:
+ *
+ *   startTime   processingStart   processingEnd         next paint
+ *     │── input delay ──│── processing ──│── presentation ──│
+ *   [long task / LoAF ··········]          [component renders]
+ *                       ▲ api_calls started in the handler
+ *                       [DOM mutations ························]
+ *
+ * The longest phase is the `cause` tag; the long task (or component
+ * render) overlapping the interaction the most is the `culprit`. The
+ * target is a CSS selector instead of the bare tagName.
+ *
+ * Works from other collectors' metrics (jsExecution, longAnimationFrames,
+ * network, the framework adapter), which PerfSDK feeds to observe() before
+ * rate limiting, plus its own mutation log. Each record waits _SETTLE_MS
+ * for API calls the handler started to finish; calls still in flight by
+ * then are not listed. The record is timestamped when the interaction
+ * was reported, not when it is flushed.
+ *
+ * metadata.isInp marks the interaction currently reported as INP.
+ */
+export class InteractionCorrelator extends BaseCollector {
+  constructor(eventBus, config) {
+    super(eventBus, config);
+    this._SETTLE_MS = 3000;
+
+    this._tasks = new RingBuffer(100);      // long_task / long_animation_frame
+    this._apiCalls = new RingBuffer(100);
+    this._renders = new RingBuffer(200);    // component_render
+    this._mutations = new RingBuffer(500);  // one entry per MutationObserver callback
+
+    /** @type {Array<{ interaction: Object, timestamp: number, dueAt: number }>} */
+    this._pending = [];
+    this._inpInteractionId = null;
+
+    this._observer = null;
+    this._timer = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    this._observeMutations();
+    this._timer = setInterval(() => this._flush(performance.now()), 1000);
+  }
+
+  stop() {
+    this._observer?.disconnect();
+    this._observer = null;
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+
+    // Report what we have rather than drop it
+    this._flush(Infinity);
+    this.isRunning = false;
+  }
+
+  /**
+   * Called by every collector's emit(), before rate limiting
+   * @param {Object} metric - MetricEntry
+   */
+  observe(metric) {
+    if (!this.isRunning) return;
+    const meta = metric.metadata ?? {};
+
+    switch (metric.name) {
+      case 'slow_interaction': {
+        const now = performance.now();
+        this._pending.push({ interaction: metric, timestamp: metric.timestamp || now, dueAt: now + this._SETTLE_MS });
+        break;
+      }
+
+      case 'long_task':
+      case 'long_animation_frame':
+        if (meta.startTime === undefined) break;
+        this._tasks.push({
+          type: metric.name,
+          startTime: meta.startTime,
+          duration: metric.value,
+          culprit: metric.tags?.culprit ?? 'unknown',
+        });
+        break;
+
+      case 'api_call':
+        if (meta.startTime === undefined) break;
+        this._apiCalls.push({
+          method: metric.tags?.method ?? 'GET',
+          url: metric.tags?.url ?? 'unknown',
+          status: metric.tags?.status ?? null,
+          startTime: meta.startTime,
+          duration: metric.value,
+        });
+        break;
+
+      case 'component_render':
+        if (meta.startTime === undefined) break;
+        this._renders.push({
+          component: metric.tags?.component ?? 'Anonymous',
+          phase: metric.tags?.phase ?? null,
+          startTime: meta.startTime,
+          duration: metric.value,
+        });
+        break;
+
+      case 'inp':
+        this._inpInteractionId = meta.interactionId ?? null;
+        break;
+    }
+  }
+
+  /**
+   * Only counts per callback are kept, no node references, so the log
+   * can't keep removed subtrees alive. Nodes added / removed only:
+   * attribute and text churn would make the document-wide observer
+   * costly on busy pages without explaining much.
+   */
+  _observeMutations() {
+    if (typeof MutationObserver === 'undefined' || typeof document === 'undefined') return;
+
+    this._observer = new MutationObserver((records) => {
+      let added = 0;
+      let removed = 0;
+      for (const record of records) {
+        added += record.addedNodes?.length ?? 0;
+        removed += record.removedNodes?.length ?? 0;
+      }
+      this._mutations.push({ time: performance.now(), records: records.length, added, removed });
+    });
+    this._observer.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  _flush(now) {
+    const due = this._pending.filter((p) => p.dueAt <= now);
+    if (due.length === 0) return;
+
+    this._pending = this._pending.filter((p) => p.dueAt > now);
+    for (const { interaction, timestamp } of due) {
+      this.emit({ ...this._breakdown(interaction), timestamp });
+    }
+  }
+
+  _breakdown(interaction) {
+    const meta = interaction.metadata ?? {};
+    const startTime = meta.startTime ?? meta.processingStart - meta.inputDelay;
+    const endTime = startTime + interaction.value;
+
+    const phases = {
+      input_delay: meta.inputDelay ?? 0,
+      processing: meta.processingTime ?? 0,
+      presentation: meta.presentationDelay ?? 0,
+    };
+    const cause = Object.keys(phases).reduce((a, b) => (phases[b] > phases[a] ? b : a));
+
+    const longTasks = overlapping(this._tasks, startTime, endTime);
+    const components = overlapping(this._renders, startTime, endTime);
+
+    const apiCalls = this._apiCalls
+      .toArray()
+      .filter((call) => call.startTime >= meta.processingStart && call.startTime <= meta.processingEnd)
+      .sort((a, b) => a.startTime - b.startTime);
+
+    const mutations = { records: 0, added: 0, removed: 0, batches: 0 };
+    for (const batch of this._mutations.toArray()) {
+      if (batch.time < meta.processingStart || batch.time > endTime) continue;
+      mutations.records += batch.records;
+      mutations.added += batch.added;
+      mutations.removed += batch.removed;
+      mutations.batches++;
+    }
+
+    const target = meta.selector || meta.target || 'unknown';
+    const culprit = longTasks[0]?.culprit ?? components[0]?.component ?? 'unknown';
+
+    const summary = [
+      `${interaction.tags?.eventType ?? 'interaction'} on ${target}: ` +
+        `${PHASE_LABELS[cause]} ${Math.round(phases[cause])}ms` +
+        (culprit !== 'unknown' ? ` in ${culprit}` : ''),
+    ];
+    if (apiCalls.length > 0) {
+      const first = apiCalls[0];
+      summary.push(
+        `${apiCalls.length} API call${apiCalls.length > 1 ? 's' : ''} (${first.method} ${first.url} ${Math.round(first.duration)}ms)`
+      );
+    }
+    if (mutations.records > 0) summary.push(`${mutations.records} DOM mutations`);
+
+    return {
+      name: 'interaction_breakdown',
+      value: interaction.value,
+      unit: 'ms',
+      tags: {
+        ...interaction.tags, // eventType, severity, route
+        target,
+        cause,
+        culprit,
+      },
+      metadata: {
+        interactionId: meta.interactionId ?? null,
+        isInp: Boolean(meta.interactionId) && meta.interactionId === this._inpInteractionId,
+        startTime,
+        inputDelay: round(phases.input_delay),
+        processingTime: round(phases.processing),
+        presentationDelay: round(phases.presentation),
+        longTasks: longTasks.slice(0, MAX_LISTED),
+        apiCalls: apiCalls.slice(0, MAX_LISTED).map((call) => ({
+          ...call,
+          startTime: round(call.startTime),
+          duration: round(call.duration),
+        })),
+        apiCallCount: apiCalls.length,
+        mutations,
+        components: components.slice(0, MAX_LISTED),
+        summary: summary.join(', '),
+      },
+    };
+  }
+}
+
+/**
+ * Entries of a { startTime, duration } buffer that overlap [start, end],
+ * largest overlap first
+ */
+function overlapping(buffer, start, end) {
+  return buffer
+    .toArray()
+    .map((entry) => ({
+      ...entry,
+      overlap: Math.min(end, entry.startTime + entry.duration) - Math.max(start, entry.startTime),
+    }))
+    .filter((entry) => entry.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap)
+    .map((entry) => ({
+      ...entry,
+      startTime: round(entry.startTime),
+      duration: round(entry.duration),
+      overlap: round(entry.overlap),
+    }));
+}
+
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
@@ -1,4 +1,5 @@
 import { BaseCollector } from './BaseCollector.js';
+import { getSelector } from '../utils/selector.js';
 
 /**
  * Captures:
@@ -14,6 +15,9 @@ export class JSExecutionCollector extends BaseCollector {
     this._eventLoopInterval = null;
     this._interactionObserver = null;
     this._metrics = [];
+
+    /** @type {import('./LongAnimationFrameCollector.js').LongAnimationFrameCollector|null} set by PerfSDK */
+    this.longAnimationFrames = null;
   }
 
   start() {
@@ -39,20 +43,28 @@ export class JSExecutionCollector extends BaseCollector {
     return snapshot;
   }
 
+  snapshot() {
+    return [...this._metrics];
+  }
+
   /**
    * Long Task API — detects any task blocking main thread > 50ms.
    * Provides attribution (which script / iframe caused it).
+   *
+   * Fallback only: while the longAnimationFrames collector is observing,
+   * it reports the same frames with script-level attribution, so long
+   * tasks are dropped. Checked per entry, so the fallback kicks in if
+   * that collector stops.
    */
   _observeLongTasks() {
     if (typeof PerformanceObserver === 'undefined') return;
 
     try {
       this._longTaskObserver = new PerformanceObserver((list) => {
+        if (this.longAnimationFrames?.isObserving) return;
+
         for (const entry of list.getEntries()) {
-          // Classify severity based on duration
-          let severity = 'info';
-          if (entry.duration > 500) severity = 'critical';
-          else if (entry.duration > 200) severity = 'warning';
+          const severity = this.severityOf('long_task', entry.duration);
 
           const metric = {
             name: 'long_task',
@@ -88,9 +100,13 @@ export class JSExecutionCollector extends BaseCollector {
    *
    * Trick: Post a message via MessageChannel and measure how long
    * it takes for the event loop to pick it up. In a healthy app
-   * this is <1ms. Anything >5ms means the thread is busy.
+   * this is <1ms. Lag above anomaly.budgets.event_loop_lag.info
+   * (5ms by default) means the thread is busy and is reported.
    */
   _monitorEventLoopLag() {
+    const budget = this.thresholds.budgetFor('event_loop_lag') ?? {};
+    const minLag = budget.info ?? 0;
+
     const measure = () => {
       const start = performance.now();
       const channel = new MessageChannel();
@@ -98,10 +114,8 @@ export class JSExecutionCollector extends BaseCollector {
       channel.port2.onmessage = () => {
         const lag = performance.now() - start;
 
-        if (lag > 5) {
-          let severity = 'info';
-          if (lag > 200) severity = 'critical';
-          else if (lag > 50) severity = 'warning';
+        if (lag > minLag) {
+          const severity = this.severityOf('event_loop_lag', lag);
 
           const metric = {
             name: 'event_loop_lag',
@@ -109,7 +123,7 @@ export class JSExecutionCollector extends BaseCollector {
             unit: 'ms',
             tags: { severity },
             metadata: {
-              threshold: { info: 5, warning: 50, critical: 200 },
+              threshold: budget,
             },
           };
 
@@ -180,15 +194,18 @@ export class JSExecutionCollector extends BaseCollector {
             unit: 'ms',
             tags: {
               eventType: entry.name, // 'click', 'keydown', etc.
-              severity: entry.duration > 500 ? 'critical' : 'warning',
+              severity: this.severityOf('slow_interaction', entry.duration),
             },
             metadata: {
+              interactionId: entry.interactionId || null,
+              startTime: entry.startTime,
               processingStart: entry.processingStart,
               processingEnd: entry.processingEnd,
               inputDelay: entry.processingStart - entry.startTime,
               processingTime: entry.processingEnd - entry.processingStart,
               presentationDelay: entry.startTime + entry.duration - entry.processingEnd,
               target: entry.target?.tagName || 'unknown',
+              selector: getSelector(entry.target) || null, // null once the target left the DOM
             },
           };
 
@@ -0,0 +1,158 @@
+import { BaseCollector } from './BaseCollector.js';
+import { RingBuffer } from '../utils/RingBuffer.js';
+
+const ENTRY_TYPE = 'long-animation-frame';
+const MAX_SCRIPTS = 5;
+
+/**
+ * Whether the browser reports Long Animation Frames (Chrome 123+)
+ */
+export function supportsLongAnimationFrames() {
+  return typeof PerformanceObserver !== 'undefined' && Boolean(PerformanceObserver.supportedEntryTypes?.includes(ENTRY_TYPE));
+}
+
+/**
+ * Captures Long Animation Frames (LoAF): frames that took > 50ms from
+ * the start of their first task to paint.
+ *
+ * The Long Task API only says a task was long, and attributes it to a
+ * frame ('self'), which is useless in a single-origin app. LoAF breaks
+ * the frame down and names the scripts that ran in it:
+ *
+ *   startTime ──── work ────┬─ renderStart ── style/layout ──── end
+ *     │ script: DealList.js │  rAF callbacks   styleAndLayoutStart
+ *     │   fn: sortDeals     │
+ *     │   invoker: BUTTON#save.onclick
+ *
+ * Per frame: blocking duration, work / render / style-and-layout time,
+ * and the longest scripts with sourceURL, function name, invoker and
+ * the forced style + layout they caused. The longest script becomes the
+ * `culprit` tag.
+ *
+ * Without LoAF support this collector does nothing. JSExecutionCollector
+ * reports long_task from the Long Task API whenever isObserving is false,
+ * whether LoAF is unsupported, failed to start, or this collector is off.
+ */
+export class LongAnimationFrameCollector extends BaseCollector {
+  constructor(eventBus, config) {
+    super(eventBus, config);
+    this._observer = null;
+    this._metrics = new RingBuffer(200);
+  }
+
+  /**
+   * Whether frames are being reported, i.e. long tasks need no fallback
+   */
+  get isObserving() {
+    return this._observer !== null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    if (!supportsLongAnimationFrames()) {
+      if (this.config.debug) {
+        console.warn('[PerfSDK] long-animation-frame not supported, using the Long Task API');
+      }
+      return;
+    }
+
+    try {
+      const observer = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          const metric = this._toMetric(entry);
+          this._metrics.push(metric);
+          this.emit(metric);
+        }
+      });
+      observer.observe({ type: ENTRY_TYPE, buffered: true });
+      this._observer = observer;
+    } catch (e) {
+      if (this.config.debug) {
+        console.warn('[PerfSDK] long-animation-frame observer failed, using the Long Task API:', e.message);
+      }
+    }
+  }
+
+  stop() {
+    this._observer?.disconnect();
+    this._observer = null;
+    this.isRunning = false;
+  }
+
+  collect() {
+    const snapshot = this._metrics.toArray();
+    this._metrics.clear();
+    return snapshot;
+  }
+
+  snapshot() {
+    return this._metrics.toArray();
+  }
+
+  _toMetric(entry) {
+    const end = entry.startTime + entry.duration;
+    const renderStart = entry.renderStart || end;
+    const styleAndLayoutStart = entry.styleAndLayoutStart || end;
+
+    const scripts = [...(entry.scripts ?? [])]
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, MAX_SCRIPTS)
+      .map((script) => ({
+        sourceURL: script.sourceURL || null,
+        functionName: script.sourceFunctionName || null,
+        charPosition: script.sourceCharPosition ?? null,
+        invoker: script.invoker || null,
+        invokerType: script.invokerType || null,
+        duration: round(script.duration),
+        executionStart: round(script.executionStart),
+        forcedStyleAndLayoutDuration: round(script.forcedStyleAndLayoutDuration ?? 0),
+        pauseDuration: round(script.pauseDuration ?? 0),
+      }));
+
+    return {
+      name: 'long_animation_frame',
+      value: round(entry.duration),
+      unit: 'ms',
+      tags: {
+        severity: this.severityOf('long_animation_frame', entry.duration),
+        culprit: culpritOf(scripts[0]),
+      },
+      metadata: {
+        startTime: entry.startTime,
+        blockingDuration: round(entry.blockingDuration ?? 0),
+        workDuration: round(renderStart - entry.startTime),
+        renderDuration: round(end - renderStart),
+        styleAndLayoutDuration: round(end - styleAndLayoutStart),
+        forcedStyleAndLayoutDuration: round(scripts.reduce((sum, s) => sum + s.forcedStyleAndLayoutDuration, 0)),
+        firstUIEventTimestamp: entry.firstUIEventTimestamp || null,
+        scripts,
+      },
+    };
+  }
+}
+
+/**
+ * 'sortDeals (DealList.js)', 'BUTTON#save.onclick' or 'unknown'
+ */
+function culpritOf(script) {
+  if (!script) return 'unknown';
+
+  const file = script.sourceURL ? fileName(script.sourceURL) : null;
+  if (script.functionName && file) return `${script.functionName} (${file})`;
+  return script.functionName || script.invoker || file || 'unknown';
+}
+
+function fileName(url) {
+  try {
+    const segments = new URL(url).pathname.split('/');
+    return segments[segments.length - 1] || url;
+  } catch {
+    return url.slice(-60);
+  }
+}
+
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
@@ -1,23 +1,47 @@
 import { BaseCollector } from './BaseCollector.js';
+import { getSelector } from '../utils/selector.js';
+import { getComponentName } from '../utils/component.js';
 
 /**
  * Captures:
  *  - JS Heap usage (size, growth rate)
  *  - Memory leak detection via linear regression
- *  - DOM node count explosion
- *  - Detached DOM node estimation
+ *  - Detached DOM node estimation, with listener counts and the owning component
  */
 export class MemoryCollector extends BaseCollector {
   constructor(eventBus, config) {
     super(eventBus, config);
     this._pollingInterval = null;
-    this._mutationObserver = null;
 
     /** @type {Array<{timestamp: number, usedJSHeapSize: number, totalJSHeapSize: number}>} */
     this._heapHistory = [];
-    this._MAX_HISTORY = 120; // 2 min at 1s intervals
-    this._LEAK_WINDOW = 60; // Check over 60 samples
-    this._nodeCount = 0;
+    this._MAX_HISTORY = 3600; // hard cap; history is trimmed to leakDetection.windowMs
+
+    // Detached DOM tracking
+    this._removalObserver = null;
+    this._detachedInterval = null;
+    this._finalizer = null;
+    this._listenerPatch = null;
+    this._DETACHED_CHECK_MS = 10000;
+    this._DETACHED_GRACE_MS = 30000; // give GC time to collect a removed subtree before suspecting it
+    this._MAX_TRACKED_REMOVALS = 500;
+    this._MAX_REMOVALS_PER_CHECK = 100; // sample: removals tracked per check interval, the rest are skipped
+    this._MAX_LISTENER_SCAN = 2000; // elements scanned for listeners per retained subtree
+    this._LEAK_MIN_SUBTREES = 3; // same owner leaking repeatedly = pattern, not a slow GC
+    this._LEAK_CRITICAL_NODES = 1000;
+    this._detachedNodes = 0;
+
+    /**
+     * Removed subtree roots, oldest first. Only weak references until the
+     * grace period is over; the rest is filled in for the survivors.
+     * @type {Map<number, {ref: WeakRef<Element>, parentRef: WeakRef<Element>, removedAt: number, retained: Object|null}>}
+     */
+    this._removed = new Map();
+    this._nextRemovalId = 0;
+    this._removalsThisCheck = 0;
+
+    /** @type {WeakMap<Element, number>} addEventListener registrations per element */
+    this._listenerCounts = new WeakMap();
   }
 
   start() {
@@ -25,23 +49,28 @@ export class MemoryCollector extends BaseCollector {
     this.isRunning = true;
 
     this._startHeapPolling();
-    this._observeDOMNodeCount();
+    this._trackDetachedNodes();
   }
 
   stop() {
     if (this._pollingInterval) clearInterval(this._pollingInterval);
-    this._mutationObserver?.disconnect();
+    if (this._detachedInterval) clearInterval(this._detachedInterval);
+    this._removalObserver?.disconnect();
+    this._restoreAddEventListener();
+    this._removed.clear();
     this.isRunning = false;
   }
 
   collect() {
-    if (this._heapHistory.length === 0) return [];
     const latest = this._heapHistory[this._heapHistory.length - 1];
+    if (!latest) {
+      return [{ name: 'detached_dom_nodes', value: this._detachedNodes, unit: 'count', tags: {} }];
+    }
     return [
       { name: 'heap_used', value: latest.usedJSHeapSize, unit: 'bytes', tags: {} },
       { name: 'heap_total', value: latest.totalJSHeapSize, unit: 'bytes', tags: {} },
       { name: 'heap_limit', value: latest.jsHeapSizeLimit, unit: 'bytes', tags: {} },
-      { name: 'dom_nodes', value: this._nodeCount, unit: 'count', tags: {} },
+      { name: 'detached_dom_nodes', value: this._detachedNodes, unit: 'count', tags: {} },
     ];
   }
 
@@ -73,7 +102,8 @@ export class MemoryCollector extends BaseCollector {
       };
 
       this._heapHistory.push(snapshot);
-      if (this._heapHistory.length > this._MAX_HISTORY) {
+      const oldest = snapshot.timestamp - this.config.leakDetection.windowMs;
+      while (this._heapHistory.length > this._MAX_HISTORY || this._heapHistory[0].timestamp < oldest) {
         this._heapHistory.shift();
       }
 
@@ -97,6 +127,7 @@ export class MemoryCollector extends BaseCollector {
           severity: utilization > 95 ? 'critical' : 'warning',
           message: `Heap utilization at ${utilization.toFixed(1)}% — ${(snapshot.usedJSHeapSize / 1048576).toFixed(1)}MB / ${(snapshot.jsHeapSizeLimit / 1048576).toFixed(1)}MB`,
           metric: { name: 'heap_used', value: snapshot.usedJSHeapSize, unit: 'bytes', tags: {} },
+          baseline: null,
           score: utilization / 100,
           timestamp: Date.now(),
           context: { snapshot },
@@ -109,134 +140,316 @@ export class MemoryCollector extends BaseCollector {
   }
 
   /**
-   * Memory leak detection using simple linear regression.
-   *
-   * Strategy: Take the last N heap snapshots and fit a line.
-   * If slope is consistently positive and above a threshold,
-   * flag it as a suspected leak.
+   * Memory leak detection: linear regression of post-GC heap minima
+   * against real time.
    *
-   * Why linear regression?
-   *  - GC causes sawtooth patterns, but the TREND should be flat
-   *    for healthy apps. A positive trend = leak.
+   * Why post-GC minima?
+   *  - Between collections the heap always climbs (allocation), then
+   *    drops when GC runs. The peaks say how much garbage there was;
+   *    the minima say how much survived. Only the survivors can leak.
    *
    *    Heap
-   *    ▲  /\  /\  /\  /\  ← HEALTHY (sawtooth, flat trend)
+   *    ▲  /\  /\  /\  /\  ← HEALTHY (minima flat)
    *    │ /  \/  \/  \/  \
+   *    │    •   •   •
    *    └──────────────────► Time
    *
    *    Heap
    *    ▲      /\   /\  /\
-   *    │    /\/ \ /  \/   ← LEAK (sawtooth, upward trend ↗)
-   *    │  /\/    /
-   *    │ /
+   *    │    /\/ \ /  \/   ← LEAK (minima rise ↗)
+   *    │  /\/ •  •   •
+   *    │ / •
    *    └──────────────────► Time
+   *
+   * Why timestamps, not sample index?
+   *  - Background tabs throttle the 1s poll to once a minute or less.
+   *    Against sample index, a minute of growth would look like a second.
+   *
+   * A leak is reported when the minima rise faster than
+   * leakDetection.minSlopeBytesPerSec with R² ≥ minRSquared, with the
+   * projected time until jsHeapSizeLimit at that rate.
    */
   _detectMemoryLeak() {
-    if (this._heapHistory.length < this._LEAK_WINDOW) return;
+    const { minSlopeBytesPerSec, minRSquared, minGcCycles, criticalWithinMs } = this.config.leakDetection;
+
+    const minima = findLocalMinima(this._heapHistory);
+    // Without GC drops, growth is indistinguishable from garbage not yet collected
+    if (minima.length < minGcCycles) return;
 
-    const recent = this._heapHistory.slice(-this._LEAK_WINDOW);
-    const n = recent.length;
+    const n = minima.length;
+    const t0 = minima[0].timestamp;
 
     // Linear regression: y = mx + b
-    // where x = sample index, y = heap size
+    // where x = seconds since the first minimum, y = heap size
     let sumX = 0;
     let sumY = 0;
     let sumXY = 0;
     let sumX2 = 0;
 
-    for (let i = 0; i < n; i++) {
-      const x = i;
-      const y = recent[i].usedJSHeapSize;
+    for (const sample of minima) {
+      const x = (sample.timestamp - t0) / 1000;
+      const y = sample.usedJSHeapSize;
       sumX += x;
       sumY += y;
       sumXY += x * y;
       sumX2 += x * x;
     }
 
-    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+    const denominator = n * sumX2 - sumX * sumX;
+    if (denominator === 0) return;
+    const slope = (n * sumXY - sumX * sumY) / denominator; // bytes per second
+    const intercept = (sumY - slope * sumX) / n;
 
     // Calculate R² to check if growth is consistent (not just noise)
     const meanY = sumY / n;
     let ssRes = 0;
     let ssTot = 0;
-    for (let i = 0; i < n; i++) {
-      const predicted = slope * i + (meanY - slope * (sumX / n));
-      ssRes += (recent[i].usedJSHeapSize - predicted) ** 2;
-      ssTot += (recent[i].usedJSHeapSize - meanY) ** 2;
+    for (const sample of minima) {
+      const predicted = slope * ((sample.timestamp - t0) / 1000) + intercept;
+      ssRes += (sample.usedJSHeapSize - predicted) ** 2;
+      ssTot += (sample.usedJSHeapSize - meanY) ** 2;
     }
     const rSquared = ssTot > 0 ? 1 - ssRes / ssTot : 0;
 
-    // Threshold: heap growing > 100KB/s with R² > 0.7 (consistent growth)
-    const LEAK_THRESHOLD_BYTES_PER_SEC = 100 * 1024; // 100KB/s
+    if (slope <= minSlopeBytesPerSec || rSquared < minRSquared) return;
 
-    if (slope > LEAK_THRESHOLD_BYTES_PER_SEC && rSquared > 0.7) {
-      const startHeap = recent[0].usedJSHeapSize;
-      const endHeap = recent[n - 1].usedJSHeapSize;
-      const growthMB = ((endHeap - startHeap) / 1048576).toFixed(2);
-
-      this.eventBus.emit('anomaly:detected', 'MemoryCollector', {
-        type: 'memory_leak_suspected',
-        severity: 'critical',
-        message: `🔴 Potential memory leak: heap grew ${growthMB}MB over ${n}s (${(slope / 1024).toFixed(1)}KB/s, R²=${rSquared.toFixed(2)})`,
-        metric: { name: 'heap_used', value: endHeap, unit: 'bytes', tags: {} },
-        baseline: { mean: meanY, stdDev: 0 },
-        score: Math.min(1, rSquared),
-        timestamp: Date.now(),
-        context: {
-          slope,
-          rSquared,
-          startHeapMB: (startHeap / 1048576).toFixed(1),
-          endHeapMB: (endHeap / 1048576).toFixed(1),
-          durationSeconds: n,
-          recentSnapshots: recent.slice(-5),
-        },
-      });
-    }
+    const first = minima[0];
+    const last = minima[n - 1];
+    const latest = this._heapHistory[this._heapHistory.length - 1];
+    const durationSeconds = Math.round((last.timestamp - t0) / 1000);
+    const growthMB = ((last.usedJSHeapSize - first.usedJSHeapSize) / 1048576).toFixed(2);
+
+    // Projected from the trend line, not the current (pre-GC) reading
+    const trendNow = slope * ((latest.timestamp - t0) / 1000) + intercept;
+    const secondsToLimit = Math.max(0, (latest.jsHeapSizeLimit - trendNow) / slope);
+    const projectedLimitAt = latest.timestamp + secondsToLimit * 1000;
+
+    this.eventBus.emit('anomaly:detected', 'MemoryCollector', {
+      type: 'memory_leak_suspected',
+      severity: secondsToLimit * 1000 < criticalWithinMs ? 'critical' : 'warning',
+      message: `🔴 Potential memory leak: post-GC heap grew ${growthMB}MB over ${durationSeconds}s (${(slope / 1024).toFixed(1)}KB/s, R²=${rSquared.toFixed(2)}), heap limit in ~${formatDuration(secondsToLimit)}`,
+      metric: { name: 'heap_used', value: last.usedJSHeapSize, unit: 'bytes', tags: {} },
+      baseline: { mean: meanY, stdDev: Math.sqrt(ssTot / n) },
+      score: Math.min(1, rSquared),
+      timestamp: Date.now(),
+      context: {
+        slope,
+        rSquared,
+        gcCycles: n,
+        startHeapMB: (first.usedJSHeapSize / 1048576).toFixed(1),
+        endHeapMB: (last.usedJSHeapSize / 1048576).toFixed(1),
+        durationSeconds,
+        heapLimitMB: (latest.jsHeapSizeLimit / 1048576).toFixed(1),
+        secondsToLimit: Math.round(secondsToLimit),
+        projectedLimitAt,
+        recentMinima: minima.slice(-5),
+      },
+    });
   }
 
   /**
-   * Watch for DOM node count explosion.
-   * CRM apps often leak DOM nodes via:
-   *  - Modals that aren't properly destroyed
-   *  - Infinite scroll items never reclaimed
-   *  - Tooltip/dropdown overlays accumulating
+   * Detached DOM: subtrees removed from the document but still reachable
+   * from JS, so never garbage collected. The classic CRM pattern is a
+   * modal or tooltip whose close() removes the markup while a listener
+   * on window or a cached reference keeps the whole subtree alive.
+   *
+   *   removed from DOM ──► WeakRef + FinalizationRegistry
+   *        │                    │
+   *        │   GC collects it ──┘ → forgotten (healthy)
+   *        ▼
+   *   still deref()-able after the grace period → suspected detached
+   *
+   * This is an estimate: GC timing is up to the engine, so a single
+   * survivor means little. The same owner leaving several subtrees
+   * behind is reported as an anomaly, attributed to its component
+   * (or selector when no component is recognisable).
+   *
+   * addEventListener is wrapped to count registrations per element
+   * (made after start()); listeners on a retained subtree are reported with it.
+   *
+   * The observer callback only keeps weak references to each removed
+   * root, and at most _MAX_REMOVALS_PER_CHECK per interval: a busy app
+   * removes thousands of nodes a minute and the callback runs on its
+   * main thread. Size, listeners and owner are worked out at check time,
+   * and only for the few subtrees still alive after the grace period.
    */
-  _observeDOMNodeCount() {
-    this._nodeCount = document.querySelectorAll('*').length;
+  _trackDetachedNodes() {
+    if (typeof WeakRef !== 'function' || typeof FinalizationRegistry !== 'function') return;
 
-    this._mutationObserver = new MutationObserver((mutations) => {
-      let added = 0;
-      let removed = 0;
+    this._finalizer = new FinalizationRegistry((id) => this._removed.delete(id));
+    this._patchAddEventListener();
 
+    this._removalObserver = new MutationObserver((mutations) => {
       for (const mutation of mutations) {
-        added += mutation.addedNodes.length;
-        removed += mutation.removedNodes.length;
+        // Removed from a subtree that is itself already out of the document: not a root
+        if (!mutation.target.isConnected) continue;
+
+        for (const node of mutation.removedNodes) {
+          if (node.nodeType === 1 && !node.isConnected) this._trackRemoval(node, mutation.target);
+        }
       }
+    });
 
-      this._nodeCount = this._nodeCount + added - removed;
+    this._removalObserver.observe(document.documentElement, { childList: true, subtree: true });
+    this._detachedInterval = setInterval(() => this._checkDetached(), this._DETACHED_CHECK_MS);
+  }
 
-      // Recount periodically to correct drift
-      if (Math.random() < 0.01) {
-        this._nodeCount = document.querySelectorAll('*').length;
-      }
+  _trackRemoval(node, formerParent) {
+    if (this._removalsThisCheck >= this._MAX_REMOVALS_PER_CHECK) return;
+    if (this._removed.size >= this._MAX_TRACKED_REMOVALS && !this._evictJudged()) return;
+    this._removalsThisCheck++;
+
+    const id = this._nextRemovalId++;
+    this._removed.set(id, {
+      ref: new WeakRef(node),
+      parentRef: new WeakRef(formerParent),
+      removedAt: Date.now(),
+      retained: null,
+    });
+    this._finalizer.register(node, id);
+  }
 
-      if (this._nodeCount > 3000) {
-        this.emit({
-          name: 'dom_node_count',
-          value: this._nodeCount,
-          unit: 'count',
-          tags: {
-            severity: this._nodeCount > 5000 ? 'critical' : 'warning',
-            netDelta: `+${added - removed}`,
-          },
-        });
+  /**
+   * Make room by forgetting the oldest removal that has already been
+   * judged (past its grace period). Removals still in their grace period
+   * are never evicted, or under load nothing would live long enough to
+   * be checked.
+   * @returns {boolean} false if every tracked removal is still in its grace period
+   */
+  _evictJudged() {
+    const cutoff = Date.now() - this._DETACHED_GRACE_MS;
+    for (const [id, entry] of this._removed) {
+      if (entry.removedAt >= cutoff) return false; // oldest first: the rest are younger
+      this._removed.delete(id);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Size, listeners, selector and owner of a subtree still alive after
+   * the grace period. Computed once per subtree.
+   */
+  _describeRetained(node, formerParent) {
+    const descendants = node.getElementsByTagName('*');
+
+    let listeners = this._listenerCounts.get(node) ?? 0;
+    const scanned = Math.min(descendants.length, this._MAX_LISTENER_SCAN);
+    for (let i = 0; i < scanned; i++) {
+      listeners += this._listenerCounts.get(descendants[i]) ?? 0;
+    }
+
+    // Detached now, so the selector is built from where it used to be
+    const selector = formerParent ? `${getSelector(formerParent)} > ${getSelector(node, 1)}` : getSelector(node, 1);
+
+    return {
+      owner: getComponentName(node) ?? (formerParent && getComponentName(formerParent)) ?? selector,
+      selector,
+      nodes: 1 + descendants.length,
+      listeners,
+    };
+  }
+
+  _checkDetached() {
+    const now = Date.now();
+    const byOwner = new Map();
+    let total = 0;
+    this._removalsThisCheck = 0;
+
+    for (const [id, entry] of this._removed) {
+      if (now - entry.removedAt < this._DETACHED_GRACE_MS) break; // oldest first: the rest are younger
+
+      const node = entry.ref.deref();
+      // Collected, or moved elsewhere in the document rather than removed
+      if (!node || node.isConnected) {
+        this._removed.delete(id);
+        continue;
       }
-    });
 
-    this._mutationObserver.observe(document.body, {
-      childList: true,
-      subtree: true,
+      entry.retained ??= this._describeRetained(node, entry.parentRef.deref());
+      const { owner, selector, nodes, listeners } = entry.retained;
+
+      total += nodes;
+      const group = byOwner.get(owner) ?? { owner, subtrees: 0, nodes: 0, listeners: 0, selectors: new Set() };
+      group.subtrees++;
+      group.nodes += nodes;
+      group.listeners += listeners;
+      group.selectors.add(selector);
+      byOwner.set(owner, group);
+    }
+
+    this._detachedNodes = total;
+    if (total === 0) return;
+
+    const owners = [...byOwner.values()].sort((a, b) => b.nodes - a.nodes);
+
+    this.emit({
+      name: 'detached_dom_nodes',
+      value: total,
+      unit: 'count',
+      tags: {},
+      metadata: {
+        listeners: owners.reduce((sum, group) => sum + group.listeners, 0),
+        owners: owners.slice(0, 5).map(({ owner, subtrees, nodes, listeners }) => ({ owner, subtrees, nodes, listeners })),
+      },
     });
+
+    for (const group of owners) {
+      if (group.subtrees < this._LEAK_MIN_SUBTREES) continue;
+
+      this.eventBus.emit('anomaly:detected', 'MemoryCollector', {
+        type: 'detached_dom_leak',
+        severity: group.nodes >= this._LEAK_CRITICAL_NODES ? 'critical' : 'warning',
+        message: `Detached DOM leak: ${group.subtrees} removed subtrees from ${group.owner} still in memory (${group.nodes} nodes, ${group.listeners} listeners)`,
+        metric: { name: 'detached_dom_nodes', value: group.nodes, unit: 'count', tags: { culprit: group.owner } },
+        baseline: null,
+        score: Math.min(1, group.nodes / this._LEAK_CRITICAL_NODES),
+        timestamp: Date.now(),
+        context: {
+          culprit: group.owner,
+          subtrees: group.subtrees,
+          listeners: group.listeners,
+          selectors: [...group.selectors].slice(0, 5),
+        },
+      });
+    }
+  }
+
+  /**
+   * Count listeners per element. Approximate: a duplicate registration
+   * (ignored by the browser) or a fired { once: true } listener still counts.
+   */
+  _patchAddEventListener() {
+    const proto = EventTarget.prototype;
+    const originalAdd = proto.addEventListener;
+    const originalRemove = proto.removeEventListener;
+    const counts = this._listenerCounts;
+
+    const add = function (...args) {
+      if (this.nodeType === 1) counts.set(this, (counts.get(this) ?? 0) + 1);
+      return originalAdd.apply(this, args);
+    };
+    const remove = function (...args) {
+      if (this.nodeType === 1 && counts.has(this)) counts.set(this, Math.max(0, counts.get(this) - 1));
+      return originalRemove.apply(this, args);
+    };
+    proto.addEventListener = add;
+    proto.removeEventListener = remove;
+
+    this._listenerPatch = { proto, add, remove, originalAdd, originalRemove };
+  }
+
+  /**
+   * Only unwraps what is still ours: if another library wrapped the
+   * methods after us, restoring would throw its wrapper away. Ours then
+   * stays in its chain, still forwarding every call.
+   */
+  _restoreAddEventListener() {
+    if (!this._listenerPatch) return;
+    const { proto, add, remove, originalAdd, originalRemove } = this._listenerPatch;
+    if (proto.addEventListener === add) proto.addEventListener = originalAdd;
+    if (proto.removeEventListener === remove) proto.removeEventListener = originalRemove;
+    this._listenerPatch = null;
   }
 
   /**
@@ -263,3 +476,25 @@ export class MemoryCollector extends BaseCollector {
     setInterval(poll, 5000); // This API is rate-limited, so poll less often
   }
 }
+
+/**
+ * Post-GC samples: lower than the sample before and not higher than the
+ * one after (the bottom of each sawtooth tooth). The latest sample can't
+ * be judged yet and is skipped.
+ */
+function findLocalMinima(history) {
+  const minima = [];
+  for (let i = 1; i < history.length - 1; i++) {
+    const heap = history[i].usedJSHeapSize;
+    if (heap < history[i - 1].usedJSHeapSize && heap <= history[i + 1].usedJSHeapSize) {
+      minima.push(history[i]);
+    }
+  }
+  return minima;
+}
+
+function formatDuration(seconds) {
+  if (seconds < 120) return `${Math.round(seconds)}s`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)}min`;
+  return `${(seconds / 3600).toFixed(1)}h`;
+}
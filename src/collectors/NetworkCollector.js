@@ -46,7 +46,8 @@ export class NetworkCollector extends BaseCollector {
       this._resourceObserver = new PerformanceObserver((list) => {
         for (const entry of list.getEntries()) {
           // Only report slow or large resources
-          const isSlow = entry.duration > 500;
+          const severity = this.severityOf('slow_resource', entry.duration);
+          const isSlow = severity !== 'info';
           const isLarge = (entry.transferSize || 0) > 500 * 1024; // >500KB
 
           if (isSlow || isLarge) {
@@ -57,7 +58,7 @@ export class NetworkCollector extends BaseCollector {
               tags: {
                 type: entry.initiatorType, // 'script', 'fetch', 'xmlhttprequest', 'img', etc.
                 url: this._truncateUrl(entry.name),
-                severity: entry.duration > 2000 ? 'critical' : 'warning',
+                severity: isSlow ? severity : 'warning',
               },
               metadata: {
                 fullUrl: entry.name,
@@ -108,20 +109,18 @@ export class NetworkCollector extends BaseCollector {
           const clone = response.clone();
 
           // Report API call metrics
+          const tags = { method, url: self._truncateUrl(url), status: response.status, ok: response.ok };
+          tags.severity = !response.ok ? 'critical' : self.severityOf('api_call', duration, tags);
+
           self.emit({
             name: 'api_call',
             value: duration,
             unit: 'ms',
-            tags: {
-              method,
-              url: self._truncateUrl(url),
-              status: response.status,
-              ok: response.ok,
-              severity: !response.ok ? 'critical' : duration > 1000 ? 'warning' : 'info',
-            },
+            tags,
             metadata: {
               fullUrl: url,
               statusText: response.statusText,
+              startTime: start,
             },
           });
 
@@ -132,6 +131,7 @@ export class NetworkCollector extends BaseCollector {
               severity: response.status >= 500 ? 'critical' : 'warning',
               message: `API error: ${method} ${self._truncateUrl(url)} → ${response.status} ${response.statusText} (${duration.toFixed(0)}ms)`,
               metric: { name: 'api_error', value: response.status, unit: 'count', tags: {} },
+              baseline: null,
               score: 1,
               timestamp: Date.now(),
               context: { url, method, status: response.status, duration },
@@ -148,6 +148,7 @@ export class NetworkCollector extends BaseCollector {
             severity: 'critical',
             message: `Network failure: ${method} ${self._truncateUrl(url)} — ${error.message} (${duration.toFixed(0)}ms)`,
             metric: { name: 'network_error', value: duration, unit: 'ms', tags: {} },
+            baseline: null,
             score: 1,
             timestamp: Date.now(),
             context: { url, method, error: error.message },
@@ -179,16 +180,22 @@ export class NetworkCollector extends BaseCollector {
           const duration = performance.now() - this._perfSDK.start;
 
           if (duration > 500 || this.status >= 400) {
+            const tags = {
+              method: this._perfSDK.method,
+              url: self._truncateUrl(this._perfSDK.url),
+              status: this.status,
+              transport: 'xhr',
+            };
+            tags.severity = this.status >= 500 ? 'critical' : self.severityOf('api_call', duration, tags);
+
             self.emit({
               name: 'api_call',
               value: duration,
               unit: 'ms',
-              tags: {
-                method: this._perfSDK.method,
-                url: self._truncateUrl(this._perfSDK.url),
-                status: this.status,
-                transport: 'xhr',
-                severity: this.status >= 500 ? 'critical' : duration > 1000 ? 'warning' : 'info',
+              tags,
+              metadata: {
+                fullUrl: this._perfSDK.url,
+                startTime: this._perfSDK.start,
               },
             });
           }
@@ -1,4 +1,5 @@
 import { BaseCollector } from './BaseCollector.js';
+import { getSelector } from '../utils/selector.js';
 
 /**
  * Captures Core Web Vitals:
@@ -8,33 +9,148 @@ import { BaseCollector } from './BaseCollector.js';
  *  - INP  (Interaction to Next Paint) — the new FID
  *  - TTFB (Time to First Byte)
  *  - FCP  (First Contentful Paint)
+ *
+ * In an SPA, CLS and INP restart on every soft navigation ('route:changed'),
+ * so each route gets its own values instead of the worst of the session.
+ * LCP does not: browsers only report LCP for the document's own load, so
+ * without soft-navigation support there is no per-route LCP, and an entry
+ * arriving after a route change is still the hard load's. Only entries
+ * the browser attributes to a soft navigation (navigationId) are tagged
+ * navigation: 'soft', measured from that navigation's start.
+ *
+ * Attribution, as in the web-vitals "attribution" build:
+ *
+ *   TTFB  redirect → serviceWorker → cache → dns → tcp (tls) → request
+ *   LCP   │─ timeToFirstByte ─│─ resourceLoadDelay ─│─ resourceLoadDuration ─│─ elementRenderDelay ─│
+ *         element selector + resource url
+ *   CLS   largest shift in the worst session: target selector, previousRect → currentRect
+ *   FCP   timeToFirstByte + firstByteToFCP
+ *
+ * FCP, TTFB and LCP carry a navigationType tag. Prerendered pages are
+ * measured from activationStart, not from the prerender: while
+ * document.prerendering, these three wait for 'prerenderingchange'. A
+ * back/forward cache restore reports TTFB 0 and the restore-to-paint time
+ * as both FCP and LCP, and starts CLS and INP over.
  */
 export class WebVitalsCollector extends BaseCollector {
   constructor(eventBus, config) {
     super(eventBus, config);
     this._observers = [];
+    this._unsubscribe = null;
     this._clsValue = 0;
-    this._clsEntries = [];
+    this._clsSession = { value: 0, entries: [], previousEndTime: 0 };
     this._inpValue = 0;
+    /** @type {Map<number, number>} worst duration per interactionId */
+    this._interactions = new Map();
+    /** 'navigate' | 'reload' | 'back-forward' | 'back-forward-cache' | 'prerender' | 'restore' */
+    this._navigationType = navigationTypeOf(navigationEntry());
+    this._onPageShow = (event) => {
+      if (event.persisted) this._onBackForwardCacheRestore(event);
+    };
+    this._onActivation = null;
   }
 
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
 
-    this._observeLCP();
-    this._observeFCP();
+    this._whenActivated(() => {
+      this._observeLCP();
+      this._observeFCP();
+      this._measureTTFB();
+    });
     this._observeCLS();
     this._observeINP();
-    this._measureTTFB();
+
+    this._unsubscribe = this.eventBus.on('route:changed', () => this._resetForSoftNavigation());
+    window.addEventListener('pageshow', this._onPageShow);
   }
 
   stop() {
     this._observers.forEach((o) => o.disconnect());
     this._observers = [];
+    window.removeEventListener('pageshow', this._onPageShow);
+    if (this._onActivation) document.removeEventListener('prerenderingchange', this._onActivation);
+    this._onActivation = null;
+    this._unsubscribe?.();
+    this._unsubscribe = null;
     this.isRunning = false;
   }
 
+  /**
+   * Run now, or once a prerendered page is shown: until then there is no
+   * activationStart to measure from, and the user hasn't waited for anything.
+   */
+  _whenActivated(callback) {
+    if (!document.prerendering) {
+      callback();
+      return;
+    }
+    this._onActivation = () => {
+      this._onActivation = null;
+      callback();
+    };
+    document.addEventListener('prerenderingchange', this._onActivation, { once: true });
+  }
+
+  /**
+   * A soft navigation is a new page as far as the user is concerned:
+   * start CLS and INP over, so the new route isn't blamed for the old one.
+   */
+  _resetForSoftNavigation() {
+    this._resetSessionMetrics();
+  }
+
+  _resetSessionMetrics() {
+    this._clsValue = 0;
+    this._clsSession = { value: 0, entries: [], previousEndTime: 0 };
+    this._inpValue = 0;
+    this._interactions.clear();
+  }
+
+  /**
+   * The page came back from the back/forward cache: nothing was loaded,
+   * so TTFB is 0, and FCP and LCP are the time from restore to the next
+   * frame (the restored page paints all at once).
+   */
+  _onBackForwardCacheRestore(event) {
+    this._navigationType = 'back-forward-cache';
+    this._resetSessionMetrics();
+
+    this.emit({
+      name: 'ttfb',
+      value: 0,
+      unit: 'ms',
+      tags: { rating: 'good', navigationType: this._navigationType },
+    });
+
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        const paint = performance.now() - event.timeStamp;
+        this.emit({
+          name: 'fcp',
+          value: paint,
+          unit: 'ms',
+          tags: {
+            rating: paint <= 1800 ? 'good' : paint <= 3000 ? 'needs-improvement' : 'poor',
+            navigationType: this._navigationType,
+          },
+        });
+        this.emit({
+          name: 'lcp',
+          value: paint,
+          unit: 'ms',
+          tags: {
+            element: 'unknown',
+            rating: paint <= 2500 ? 'good' : paint <= 4000 ? 'needs-improvement' : 'poor',
+            navigation: 'hard',
+            navigationType: this._navigationType,
+          },
+        });
+      });
+    });
+  }
+
   collect() {
     return [
       { name: 'cls', value: this._clsValue, unit: 'score', tags: {} },
@@ -45,33 +161,54 @@ export class WebVitalsCollector extends BaseCollector {
   _observeLCP() {
     this._observe('largest-contentful-paint', (entries) => {
       const last = entries[entries.length - 1];
+      const nav = navigationEntry();
+      const softNavigation = softNavigationOf(last, nav);
+      const start = softNavigation?.startTime ?? nav?.activationStart ?? 0;
+      const lcp = Math.max(last.startTime - start, 0);
+
       this.emit({
         name: 'lcp',
-        value: last.startTime,
+        value: lcp,
         unit: 'ms',
         tags: {
           element: last.element?.tagName || 'unknown',
-          rating: last.startTime <= 2500 ? 'good' : last.startTime <= 4000 ? 'needs-improvement' : 'poor',
+          rating: lcp <= 2500 ? 'good' : lcp <= 4000 ? 'needs-improvement' : 'poor',
+          navigation: softNavigation ? 'soft' : 'hard',
+          navigationType: this._navigationType,
         },
         metadata: {
           size: last.size,
           url: last.url || null,
           id: last.id || null,
+          selector: getSelector(last.element) || null,
+          // The phases only add up for the document's own navigation
+          ...(!softNavigation && nav ? lcpBreakdown(last, lcp, nav) : {}),
         },
       });
-    });
+    }, { includeSoftNavigationObservations: true });
   }
 
   _observeFCP() {
     this._observe('paint', (entries) => {
       for (const entry of entries) {
         if (entry.name === 'first-contentful-paint') {
+          const nav = navigationEntry();
+          const activationStart = nav?.activationStart ?? 0;
+          const fcp = Math.max(entry.startTime - activationStart, 0);
+          const ttfb = nav ? Math.max(nav.responseStart - activationStart, 0) : null;
+
           this.emit({
             name: 'fcp',
-            value: entry.startTime,
+            value: fcp,
             unit: 'ms',
             tags: {
-              rating: entry.startTime <= 1800 ? 'good' : entry.startTime <= 3000 ? 'needs-improvement' : 'poor',
+              rating: fcp <= 1800 ? 'good' : fcp <= 3000 ? 'needs-improvement' : 'poor',
+              navigationType: this._navigationType,
+            },
+            metadata: {
+              timeToFirstByte: ttfb,
+              firstByteToFCP: ttfb === null ? null : Math.max(fcp - ttfb, 0),
+              loadState: loadStateAt(entry.startTime, nav),
             },
           });
         }
@@ -81,32 +218,34 @@ export class WebVitalsCollector extends BaseCollector {
 
   /**
    * CLS — Cumulative Layout Shift
-   * Uses the "session window" approach (same as Chrome UX Report)
+   * Uses the "session window" approach (same as Chrome UX Report).
+   * Attributed to the largest shift of the worst session and, within
+   * it, the shifted element that covers the most area.
    */
   _observeCLS() {
-    let sessionValue = 0;
-    let sessionEntries = [];
-    let previousEndTime = 0;
-
     this._observe('layout-shift', (entries) => {
       for (const entry of entries) {
         if (entry.hadRecentInput) continue; // Ignore user-initiated shifts
 
+        const session = this._clsSession;
+
         // Session window: gap < 1s and max 5s window
         if (
-          entry.startTime - previousEndTime > 1000 ||
-          entry.startTime - (sessionEntries[0]?.startTime ?? 0) > 5000
+          entry.startTime - session.previousEndTime > 1000 ||
+          entry.startTime - (session.entries[0]?.startTime ?? 0) > 5000
         ) {
-          sessionValue = 0;
-          sessionEntries = [];
+          session.value = 0;
+          session.entries = [];
         }
 
-        sessionEntries.push(entry);
-        sessionValue += entry.value;
-        previousEndTime = entry.startTime + entry.duration;
+        session.entries.push(entry);
+        session.value += entry.value;
+        session.previousEndTime = entry.startTime + entry.duration;
 
-        if (sessionValue > this._clsValue) {
-          this._clsValue = sessionValue;
+        if (session.value > this._clsValue) {
+          this._clsValue = session.value;
+          const largest = session.entries.reduce((a, b) => (b.value > a.value ? b : a));
+          const source = largestSource(largest);
 
           this.emit({
             name: 'cls',
@@ -116,8 +255,14 @@ export class WebVitalsCollector extends BaseCollector {
               rating: this._clsValue <= 0.1 ? 'good' : this._clsValue <= 0.25 ? 'needs-improvement' : 'poor',
             },
             metadata: {
-              shiftedElements: entry.sources?.map((s) => s.node?.tagName).filter(Boolean) || [],
-              entryCount: sessionEntries.length,
+              shiftedElements: largest.sources?.map((s) => getSelector(s.node)).filter(Boolean) || [],
+              entryCount: session.entries.length,
+              largestShiftTarget: getSelector(source?.node) || null,
+              largestShiftValue: largest.value,
+              largestShiftTime: largest.startTime,
+              previousRect: rectOf(source?.previousRect),
+              currentRect: rectOf(source?.currentRect),
+              loadState: loadStateAt(largest.startTime, navigationEntry()),
             },
           });
         }
@@ -130,7 +275,7 @@ export class WebVitalsCollector extends BaseCollector {
    * Track the worst interaction latency
    */
   _observeINP() {
-    const interactions = new Map();
+    const interactions = this._interactions;
 
     this._observe('event', (entries) => {
       for (const entry of entries) {
@@ -144,10 +289,11 @@ export class WebVitalsCollector extends BaseCollector {
 
       // INP is the p98 of all interactions
       if (interactions.size > 0) {
-        const sorted = [...interactions.values()].sort((a, b) => b - a);
+        const sorted = [...interactions.entries()].sort((a, b) => b[1] - a[1]);
         // Use the 98th percentile (or worst if < 50 interactions)
         const index = Math.min(sorted.length - 1, Math.floor(sorted.length * 0.02));
-        this._inpValue = sorted[index];
+        const [interactionId, duration] = sorted[index];
+        this._inpValue = duration;
 
         this.emit({
           name: 'inp',
@@ -157,32 +303,46 @@ export class WebVitalsCollector extends BaseCollector {
             rating: this._inpValue <= 200 ? 'good' : this._inpValue <= 500 ? 'needs-improvement' : 'poor',
             totalInteractions: interactions.size,
           },
+          metadata: {
+            interactionId, // matches the interaction_breakdown of the same interaction
+          },
         });
       }
     }, { durationThreshold: 16 });
   }
 
+  /**
+   * TTFB with the navigation broken into phases. tcp includes tls,
+   * as in NetworkCollector's slow_resource.
+   */
   _measureTTFB() {
-    try {
-      const nav = performance.getEntriesByType('navigation')[0];
-      if (nav) {
-        this.emit({
-          name: 'ttfb',
-          value: nav.responseStart,
-          unit: 'ms',
-          tags: {
-            rating: nav.responseStart <= 800 ? 'good' : nav.responseStart <= 1800 ? 'needs-improvement' : 'poor',
-          },
-          metadata: {
-            dns: nav.domainLookupEnd - nav.domainLookupStart,
-            tcp: nav.connectEnd - nav.connectStart,
-            requestTime: nav.responseStart - nav.requestStart,
-          },
-        });
-      }
-    } catch {
-      /* not supported */
-    }
+    const nav = navigationEntry();
+    if (!nav) return;
+
+    const activationStart = nav.activationStart ?? 0;
+    const ttfb = Math.max(nav.responseStart - activationStart, 0);
+    const phase = (start, end) => (start > 0 && end > start ? end - start : 0);
+
+    this.emit({
+      name: 'ttfb',
+      value: ttfb,
+      unit: 'ms',
+      tags: {
+        rating: ttfb <= 800 ? 'good' : ttfb <= 1800 ? 'needs-improvement' : 'poor',
+        navigationType: this._navigationType,
+      },
+      metadata: {
+        redirect: phase(nav.redirectStart, nav.redirectEnd),
+        serviceWorker: phase(nav.workerStart, nav.fetchStart),
+        cache: phase(nav.fetchStart, nav.domainLookupStart),
+        dns: phase(nav.domainLookupStart, nav.domainLookupEnd),
+        tcp: phase(nav.connectStart, nav.connectEnd),
+        tls: phase(nav.secureConnectionStart, nav.connectEnd),
+        requestTime: phase(nav.requestStart, nav.responseStart),
+        activationStart,
+        deliveryType: nav.deliveryType || null, // 'cache' | 'navigational-prefetch' | null
+      },
+    });
   }
 
   _observe(type, callback, options) {
@@ -197,3 +357,82 @@ export class WebVitalsCollector extends BaseCollector {
     }
   }
 }
+
+function navigationEntry() {
+  try {
+    return performance.getEntriesByType('navigation')[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The soft navigation an entry belongs to, null for the document's own
+ * load. Only browsers with soft-navigation support set navigationId.
+ */
+function softNavigationOf(entry, nav) {
+  if (entry.navigationId === undefined || entry.navigationId === nav?.navigationId) return null;
+  try {
+    return performance.getEntriesByType('soft-navigation').find((e) => e.navigationId === entry.navigationId) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function navigationTypeOf(nav) {
+  if (document.prerendering || (nav?.activationStart ?? 0) > 0) return 'prerender';
+  if (document.wasDiscarded) return 'restore';
+  return nav?.type?.replace('_', '-') || 'navigate'; // 'back_forward' → 'back-forward'
+}
+
+/**
+ * Where the LCP time went. Text and inline images have no resource, so
+ * everything after the first byte is render delay.
+ */
+function lcpBreakdown(entry, lcp, nav) {
+  const activationStart = nav.activationStart ?? 0;
+  const timeToFirstByte = Math.max(nav.responseStart - activationStart, 0);
+
+  const resource = entry.url
+    ? performance.getEntriesByType('resource').find((r) => r.name === entry.url)
+    : null;
+
+  const requestStart = resource
+    ? Math.max(timeToFirstByte, (resource.requestStart || resource.startTime) - activationStart)
+    : timeToFirstByte;
+  const responseEnd = resource ? Math.max(requestStart, resource.responseEnd - activationStart) : requestStart;
+  const renderTime = Math.max(responseEnd, lcp);
+
+  return {
+    timeToFirstByte,
+    resourceLoadDelay: requestStart - timeToFirstByte,
+    resourceLoadDuration: responseEnd - requestStart,
+    elementRenderDelay: renderTime - responseEnd,
+  };
+}
+
+/**
+ * The shifted node covering the most area after the shift
+ */
+function largestSource(entry) {
+  const area = (s) => (s.currentRect?.width ?? 0) * (s.currentRect?.height ?? 0);
+  return (entry.sources ?? [])
+    .filter((s) => s.node)
+    .reduce((best, s) => (!best || area(s) > area(best) ? s : best), null);
+}
+
+function rectOf(rect) {
+  if (!rect) return null;
+  return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+}
+
+/**
+ * @returns {'loading'|'dom-interactive'|'dom-content-loaded'|'complete'|null} null without navigation timing
+ */
+function loadStateAt(time, nav) {
+  if (!nav) return null;
+  if (time < nav.domInteractive) return 'loading';
+  if (!nav.domContentLoadedEventStart || time < nav.domContentLoadedEventStart) return 'dom-interactive';
+  if (!nav.domComplete || time < nav.domComplete) return 'dom-content-loaded';
+  return 'complete';
+}
@@ -1,3 +1,7 @@
+/** Reported on every batch (`sdk`) and as the OTLP scope. Keep in step with package.json. */
+export const SDK_NAME = 'perf-logger-sdk';
+export const SDK_VERSION = '1.0.0';
+
 /**
  * Default SDK Configuration
  * Every option is overridable at init time
@@ -6,36 +10,122 @@ export const DEFAULT_CONFIG = {
   appName: 'unknown',
   version: '1.0.0',
   environment: 'production', // 'development' | 'staging' | 'production'
-  framework: 'auto',         // 'lyte' | 'react' | 'vue' | 'vanilla' | 'auto'
+  framework: 'auto',         // 'lyte' | 'react' | 'vue' | 'vanilla' | 'auto', or a BaseAdapter subclass
 
   collectors: {
     jsExecution: true,
+    longAnimationFrames: true, // replaces jsExecution's long tasks where supported
     memory: true,
     cpu: true,
     dom: true,
     network: true,
     webVitals: true,
+    interactions: true, // interaction_breakdown: slow interactions with their long tasks, API calls, DOM mutations
+  },
+
+  // SPA route tracking (see RouteTracker)
+  routing: {
+    enabled: true,            // tag metrics with the route template, time soft navigations
+    patterns: [],             // route templates tried first, e.g. ['/deals/:id', '/files/*']
+    settleMs: 100,            // a route change ends after this long without DOM changes
+    maxDurationMs: 10000,
+  },
+
+  // DOM collector
+  dom: {
+    layoutThrashing: false,   // count forced reflows per frame by wrapping every layout getter; heavy, for debugging
+  },
+
+  // Heap leak detection (memory collector, performance.memory only)
+  leakDetection: {
+    windowMs: 120000,         // heap history analysed for a trend
+    minSlopeBytesPerSec: 100 * 1024, // post-GC heap growth rate that counts as a leak
+    minRSquared: 0.7,         // how consistently the post-GC minima must rise
+    minGcCycles: 3,           // post-GC minima needed in the window before judging
+    criticalWithinMs: 600000, // critical if the heap limit is projected within this
   },
 
   anomaly: {
     enabled: true,
-    strategy: 'ema',          // 'zscore' | 'iqr' | 'ema' | 'threshold'
+    strategy: 'ema',          // 'zscore' | 'iqr' | 'ema' | 'threshold' | 'composite'
     sensitivity: 'medium',    // 'low' | 'medium' | 'high'
     baselineLearningPeriod: 30, // seconds to learn "normal" before alerting
+    halfLifeSeconds: null,    // time-decay baseline stats, null = weigh all history equally
+    seasonality: null,        // null | 'hourOfDay' | 'dayOfWeek' | 'hourOfWeek'
+    routes: null,             // 'composite' only: [{ match, strategies, combine }], null = DEFAULT_ROUTES
+    persistBaselines: true,   // save baselines across page loads (per appName + version + route)
+    baselineStorage: 'localStorage', // 'localStorage' | 'indexedDB'
+    persistIntervalMs: 30000,
+    persistMaxBytes: 1000000, // all saved baselines together; least recently used routes are evicted first
+    onVersionChange: 'decay', // 'decay' | 'reset' | 'keep' — what to do with the previous version's baseline
+    versionDecayFactor: 0.25, // 'decay' only: fraction of old samples kept
+    // Incident grouping (see IncidentManager)
+    cooldownMs: 60000,        // repeats of an open incident are suppressed this long
+    resolveAfterMs: 120000,   // incident resolves after this long without a repeat
+    resolveAfterSamples: 3,   // ...or after this many consecutive samples back within baseline
+    resolveSigma: 1.5,        // "back within baseline" = within this many σ of the mean
+    fingerprintTags: ['url', 'method', 'status', 'route', 'culprit', 'eventType'],
+    // Static budgets for the 'threshold' strategy and for collector severity tags.
+    // metricName → { info?, warning, critical, direction?, byTag?: { tagKey: { tagValue: { warning, critical } } } }
+    // direction: 'below' for metrics where lower is worse (fps)
+    budgets: {
+      long_task: { warning: 200, critical: 500 },           // ms
+      long_animation_frame: { warning: 200, critical: 500 }, // ms
+      event_loop_lag: { info: 5, warning: 50, critical: 200 }, // ms; below info isn't reported at all
+      dom_node_count: { warning: 3000, critical: 5000 },    // nodes
+      dom_depth: { warning: 32, critical: 60 },             // levels
+      layout_thrashing: { warning: 5, critical: 20 },       // forced reflows in one frame
+      component_render: { warning: 16, critical: 50 },      // ms, one frame / long task
+      slow_interaction: { warning: 100, critical: 500 },    // ms, input to next paint
+      slow_resource: { warning: 500, critical: 2000 },      // ms
+      api_call: { warning: 1000 },                          // ms; failed requests are critical regardless
+      frame_drop: { warning: 100, critical: 200 },          // ms, one frame
+      fps: { warning: 30, critical: 15, direction: 'below' },
+    },
   },
 
   transport: {
-    type: 'beacon',           // 'beacon' | 'fetch' | 'console' | 'localStorage' | 'custom'
-    endpoint: null,
+    type: 'beacon',           // 'beacon' | 'fetch' | 'otlp' | 'console' | 'localStorage' | 'custom'
+    endpoint: null,           // 'otlp': collector base URL, /v1/{metrics,logs,traces} is appended
     batchSize: 20,
     flushIntervalMs: 5000,
     samplingRate: 1.0,        // 0-1, 1 = capture everything
     smartSampling: false,     // AI-driven adaptive sampling
+    smartSamplingTargetPerMinute: 30, // smartSampling: steady-state events kept per metric name
+    rareMetricThreshold: 5,   // smartSampling: metrics seen ≤ this per minute are always kept
+    aggregation: {
+      enabled: false,         // roll high-volume metrics into per-flush summaries
+      metrics: ['api_call', 'frame_drop', 'event_loop_lag'],
+      keyTags: ['method', 'status', 'type', 'severity'], // low-cardinality tags only
+      relativeAccuracy: 0.01, // percentile sketch error
+    },
     retryAttempts: 3,
+    encoding: 'json',         // 'beacon': 'json' | 'compact' (string table + delta timestamps)
+    compress: false,          // 'beacon': gzip via CompressionStream where supported
+    maxPayloadBytes: 60000,   // 'beacon': split batches above this (browser limit ~64KB)
+    headers: {},              // extra request headers for types 'fetch' and 'otlp'
+    send: null,               // (batch, { unloading }) => Promise, required for type 'custom'
+    offlineQueue: {
+      enabled: true,          // persist undeliverable batches, replay on reconnect
+      storage: 'localStorage', // 'localStorage' | 'indexedDB'
+      maxBatches: 50,
+      maxBytes: 1024 * 1024,  // oldest batches evicted first beyond this
+    },
   },
 
   debug: false,
+  validation: 'repair',       // debug only: 'repair' | 'reject' | 'off' — schema-check batches before sending
   maxEventsPerMinute: 500,
+  metricRateLimits: {         // per-metric events/minute, on top of maxEventsPerMinute
+    frame_drop: 60,
+    event_loop_lag: 60,
+    dom_node_count: 30,
+    layout_thrashing: 30,
+    component_render: 120,
+    route_change: 60,
+    long_animation_frame: 60,
+    lifecycle_event: 300,
+  },
   enableOverlay: false,       // In-page dev widget
 
   // User hooks
@@ -45,22 +135,37 @@ export const DEFAULT_CONFIG = {
 };
 
 /**
- * Deep merge user config with defaults
+ * Deep merge user config with defaults.
+ *
+ * Plain objects merge key by key at every level, so
+ * `{ transport: { offlineQueue: { storage: 'indexedDB' } } }` keeps
+ * offlineQueue.enabled and maxBatches. Arrays, functions, RegExps and
+ * other values replace the default as a whole. The result shares no
+ * objects with DEFAULT_CONFIG, so it can't be used to change the defaults.
  */
-export function mergeConfig(userConfig) {
-  const merged = { ...DEFAULT_CONFIG };
+export function mergeConfig(userConfig = {}) {
+  return mergeDeep(DEFAULT_CONFIG, userConfig);
+}
+
+function mergeDeep(defaults, overrides) {
+  const merged = {};
 
-  for (const key of Object.keys(userConfig)) {
-    if (
-      userConfig[key] !== null &&
-      typeof userConfig[key] === 'object' &&
-      !Array.isArray(userConfig[key])
-    ) {
-      merged[key] = { ...DEFAULT_CONFIG[key], ...userConfig[key] };
+  for (const key of new Set([...Object.keys(defaults), ...Object.keys(overrides)])) {
+    const base = defaults[key];
+    const value = Object.prototype.hasOwnProperty.call(overrides, key) ? overrides[key] : base;
+
+    if (isPlainObject(value)) {
+      merged[key] = mergeDeep(isPlainObject(base) ? base : {}, value === base ? {} : value);
     } else {
-      merged[key] = userConfig[key];
+      merged[key] = value;
     }
   }
 
   return merged;
-}
\ No newline at end of file
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
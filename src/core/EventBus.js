@@ -1,12 +1,19 @@
+import { generateId } from '../utils/id.js';
+
+const SESSION_KEY = 'perfsdk_session';
+
 /**
  * Internal event bus for decoupled communication between SDK modules.
  * Collectors emit metrics -> AnomalyEngine listens -> Transport listens
  *
  * Event Types:
  *   'metric:collected'   - A new metric data point
- *   'anomaly:detected'   - An anomaly was found
+ *   'anomaly:detected'   - An anomaly was found (raw, every occurrence)
+ *   'anomaly:reported'   - Deduplicated anomaly with its incident summary
+ *   'anomaly:resolved'   - An incident's metric returned to normal
  *   'baseline:updated'   - Baseline stats recalculated
  *   'lifecycle:event'    - Framework component lifecycle
+ *   'route:changed'      - SPA soft navigation to a new route template
  *   'transport:flushed'  - Batch was sent
  *   'error:internal'     - SDK internal error
  */
@@ -76,4 +83,49 @@ export class EventBus {
         try {
           listener(event);
         } catch (e) {
-          console.warn('[PerfSDK] Listener error on "
\ No newline at end of file
+          console.warn(`[PerfSDK] Listener error on "${type}":`, e);
+        }
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Recent events, oldest first (at most _maxHistory)
+   * @param {string} [type] - only events of this type
+   */
+  getHistory(type) {
+    return type ? this._history.filter((e) => e.type === type) : [...this._history];
+  }
+
+  /**
+   * Drop all listeners and history
+   */
+  clear() {
+    this._listeners.clear();
+    this._history = [];
+  }
+
+  /**
+   * One id per browser tab session: kept in sessionStorage so reloads and
+   * same-tab navigations stay in the same session (and in or out of the
+   * session sample together). Falls back to a per-page id where
+   * sessionStorage is unavailable (sandboxed iframes, privacy modes).
+   */
+  _getSessionId() {
+    if (this._sessionId) return this._sessionId;
+
+    try {
+      this._sessionId = sessionStorage.getItem(SESSION_KEY);
+      if (!this._sessionId) {
+        this._sessionId = generateId();
+        sessionStorage.setItem(SESSION_KEY, this._sessionId);
+      }
+    } catch {
+      this._sessionId = generateId();
+    }
+
+    return this._sessionId;
+  }
+}
@@ -0,0 +1,358 @@
+import { EventBus } from './EventBus.js';
+import { mergeConfig } from './Config.js';
+import { RateLimiter } from './RateLimiter.js';
+import { RouteTracker } from './RouteTracker.js';
+import { AnomalyEngine } from '../anamolies/AnomalyEngine.js';
+import { IncidentManager } from '../anamolies/IncidentManager.js';
+import { Transport } from '../transport/Transport.js';
+import { toPrometheusText, toStatsD } from '../exporters/TextExporter.js';
+import { JSExecutionCollector } from '../collectors/JsExecutionCollector.js';
+import { MemoryCollector } from '../collectors/MemoryCollector.js';
+import { CPUCollector } from '../collectors/CpuCollector.js';
+import { DomCollector } from '../collectors/DomCollector.js';
+import { LongAnimationFrameCollector } from '../collectors/LongAnimationFrameCollector.js';
+import { NetworkCollector } from '../collectors/NetworkCollector.js';
+import { WebVitalsCollector } from '../collectors/WebVitalsCollector.js';
+import { InteractionCorrelator } from '../collectors/InteractionCorrelator.js';
+import { ReactAdapter } from '../adapters/ReactAdapter.js';
+import { VueAdapter } from '../adapters/VueAdapter.js';
+import { LyteAdapter } from '../adapters/LyteAdapter.js';
+import { detectFramework } from '../adapters/detect.js';
+
+/**
+ * Maps `config.collectors` keys to their implementation.
+ * Keys without an entry here are accepted in config but ignored.
+ */
+const COLLECTORS = {
+  interactions: InteractionCorrelator, // first: running before the others replay their buffered entries on start
+  longAnimationFrames: LongAnimationFrameCollector, // before jsExecution, which falls back to long tasks unless it is observing
+  jsExecution: JSExecutionCollector,
+  memory: MemoryCollector,
+  cpu: CPUCollector,
+  dom: DomCollector,
+  network: NetworkCollector,
+  webVitals: WebVitalsCollector,
+};
+
+/**
+ * Maps `config.framework` to its adapter. 'vanilla' has none.
+ * `config.framework` can also be an adapter class, for frameworks not listed here.
+ */
+const ADAPTERS = {
+  react: ReactAdapter,
+  vue: VueAdapter,
+  lyte: LyteAdapter,
+};
+
+/**
+ * SDK entry point. Owns the single EventBus and wires every module to it.
+ *
+ * Usage:
+ *   const sdk = new PerfSDK().init({ appName: 'crm', collectors: { cpu: false } });
+ *   sdk.start();
+ *
+ * Lifecycle:
+ *   init() → start() ⇄ stop() → destroy()
+ */
+export class PerfSDK {
+  constructor() {
+    this.config = null;
+    this.eventBus = null;
+    this.anomalyEngine = null;
+    this.incidents = null;
+    this.transport = null;
+    this.rateLimiter = null;
+    this.routeTracker = null;
+
+    /** @type {import('../adapters/BaseAdapter.js').BaseAdapter|null} see the `adapter` getter */
+    this._adapter = null;
+    this._onDOMContentLoaded = () => this._resolveAdapter();
+
+    /** @type {Map<string, import('../collectors/BaseCollector.js').BaseCollector>} */
+    this._collectors = new Map();
+
+    /** @type {Array<Function>} EventBus unsubscribe functions */
+    this._subscriptions = [];
+
+    this._initialized = false;
+    this._running = false;
+  }
+
+  /**
+   * Merge config and build all modules. Does not start collecting.
+   * @param {Object} [userConfig]
+   * @returns {PerfSDK} this, for chaining
+   */
+  init(userConfig = {}) {
+    if (this._initialized) {
+      this._log('init() called twice, ignoring');
+      return this;
+    }
+
+    this.config = mergeConfig(userConfig);
+    this.eventBus = new EventBus();
+    this.rateLimiter = new RateLimiter(this.eventBus, this.config);
+
+    if (this.config.routing.enabled) {
+      this.routeTracker = new RouteTracker(this.eventBus, this.config);
+      this.routeTracker.rateLimiter = this.rateLimiter;
+    }
+
+    for (const [key, Collector] of Object.entries(COLLECTORS)) {
+      if (!this.config.collectors[key]) continue;
+      const collector = new Collector(this.eventBus, this.config);
+      collector.rateLimiter = this.rateLimiter;
+      collector.routeTracker = this.routeTracker;
+      collector.correlator = this._collectors.get('interactions') ?? null;
+      this._collectors.set(key, collector);
+    }
+    const jsExecution = this._collectors.get('jsExecution');
+    if (jsExecution) jsExecution.longAnimationFrames = this._collectors.get('longAnimationFrames') ?? null;
+
+    // 'auto' waits for the framework to load: see _resolveAdapter()
+    if (this.config.framework !== 'auto' || typeof document === 'undefined' || document.readyState !== 'loading') {
+      this._resolveAdapter();
+    } else {
+      document.addEventListener('DOMContentLoaded', this._onDOMContentLoaded, { once: true });
+    }
+
+    if (this.config.anomaly.enabled) {
+      this.anomalyEngine = new AnomalyEngine(this.eventBus, this.config);
+    }
+
+    // Always on: collectors raise anomalies even when the engine is disabled
+    this.incidents = new IncidentManager(this.eventBus, this.config, this.anomalyEngine?.baseline);
+
+    this.transport = new Transport(this.eventBus, this.config, this.incidents);
+
+    this._subscribeHooks();
+
+    this._initialized = true;
+    this._log('initialized with collectors:', [...this._collectors.keys()]);
+    return this;
+  }
+
+  /**
+   * Start every enabled collector
+   */
+  start() {
+    if (!this._initialized) {
+      throw new Error('PerfSDK: init() must be called before start()');
+    }
+    if (this._running) return;
+
+    // Listeners first, so the very first metrics are seen
+    this.incidents.start();
+    this.anomalyEngine?.start();
+    this.rateLimiter.start();
+    this.transport.start();
+    this.routeTracker?.start();
+
+    this._resolveAdapter();
+    for (const [key, collector] of this._collectors) {
+      this._startCollector(key, collector);
+    }
+
+    this._running = true;
+    this._log('started');
+  }
+
+  _startCollector(key, collector) {
+    try {
+      collector.start();
+    } catch (e) {
+      // One broken collector must never take the host app (or the others) down
+      this.eventBus.emit('error:internal', 'PerfSDK', { collector: key, message: e.message });
+      this._log(`collector "${key}" failed to start:`, e.message);
+    }
+  }
+
+  /**
+   * Framework adapter, running as collector 'framework'. With
+   * framework 'auto', the framework is detected on first access.
+   * @returns {import('../adapters/BaseAdapter.js').BaseAdapter|null}
+   */
+  get adapter() {
+    this._resolveAdapter();
+    return this._adapter;
+  }
+
+  /**
+   * Create the framework adapter once the framework is known. With
+   * framework 'auto', init() usually runs before the app's bundle has
+   * loaded its framework, so detection is retried at DOMContentLoaded,
+   * at start() and on each `adapter` access until one is found.
+   */
+  _resolveAdapter() {
+    if (this._adapter || !this.eventBus) return;
+
+    const { framework } = this.config;
+    const Adapter = typeof framework === 'function'
+      ? framework
+      : ADAPTERS[framework === 'auto' ? detectFramework() : framework];
+    if (!Adapter) return;
+
+    this._adapter = new Adapter(this.eventBus, this.config);
+    this._adapter.rateLimiter = this.rateLimiter;
+    this._adapter.routeTracker = this.routeTracker;
+    this._adapter.correlator = this._collectors.get('interactions') ?? null;
+    this._collectors.set('framework', this._adapter);
+    globalThis.document?.removeEventListener('DOMContentLoaded', this._onDOMContentLoaded);
+
+    if (this._running) this._startCollector('framework', this._adapter);
+    this._log(`framework adapter: ${this._adapter.framework}`);
+  }
+
+  /**
+   * Stop collecting. Can be resumed with start().
+   */
+  stop() {
+    if (!this._running) return;
+
+    for (const [key, collector] of this._collectors) {
+      try {
+        collector.stop();
+      } catch (e) {
+        this._log(`collector "${key}" failed to stop:`, e.message);
+      }
+    }
+
+    // Before the transport, so the final drop summary gets flushed
+    this.routeTracker?.stop();
+    this.rateLimiter.stop();
+    this.anomalyEngine?.stop();
+    this.incidents.stop();
+    this.transport.stop();
+
+    this._running = false;
+    this._log('stopped');
+  }
+
+  /**
+   * Stop and release everything. The instance must be re-initialized to be used again.
+   */
+  destroy() {
+    this.stop();
+
+    this._subscriptions.forEach((unsub) => unsub());
+    this._subscriptions = [];
+    this._collectors.clear();
+    globalThis.document?.removeEventListener('DOMContentLoaded', this._onDOMContentLoaded);
+
+    this._adapter = null;
+    this.routeTracker = null;
+    this.anomalyEngine = null;
+    this.incidents = null;
+    this.transport = null;
+    this.rateLimiter = null;
+    this.eventBus = null;
+    this._initialized = false;
+    this._log('destroyed');
+  }
+
+  getStatus() {
+    return {
+      initialized: this._initialized,
+      running: this._running,
+      appName: this.config?.appName ?? null,
+      version: this.config?.version ?? null,
+      environment: this.config?.environment ?? null,
+      framework: this._adapter?.framework ?? null,
+      route: this.routeTracker?.route ?? null,
+      collectors: [...this._collectors].map(([key, collector]) => ({
+        key,
+        name: collector.collectorName,
+        running: collector.isRunning,
+      })),
+      anomaly: this.anomalyEngine
+        ? { strategy: this.anomalyEngine.strategy.name, running: this.anomalyEngine.isRunning }
+        : null,
+      openIncidents: this.incidents?.getOpenIncidents() ?? [],
+      transport: {
+        type: this.transport?.sender?.name ?? null,
+        running: this.transport?.isRunning ?? false,
+      },
+    };
+  }
+
+  /**
+   * Send buffered data now
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.transport?.flush() ?? Promise.resolve();
+  }
+
+  /**
+   * Current aggregate state: learned baselines, collector snapshots and
+   * anomaly counters. Read-only: collectors' buffers are left in place.
+   */
+  getExportState() {
+    const baseline = this.anomalyEngine?.baseline;
+
+    return {
+      labels: {
+        app: this.config?.appName,
+        version: this.config?.version,
+        environment: this.config?.environment,
+      },
+      baselines: (baseline?.getMetricNames() ?? [])
+        .map((name) => ({ name, ...baseline.getBaseline(name) }))
+        .filter((b) => b.sampleCount !== undefined),
+      snapshots: [...this._collectors.values()].map((collector) => ({
+        collector: collector.collectorName,
+        metrics: collector.snapshot().filter((m) => typeof m.value === 'number'),
+      })),
+      anomalyCounts: this.incidents?.getAnomalyCounts() ?? [],
+    };
+  }
+
+  /**
+   * @returns {string} Prometheus text exposition of getExportState()
+   */
+  toPrometheusText() {
+    return toPrometheusText(this.getExportState());
+  }
+
+  /**
+   * @param {string} [prefix='perfsdk']
+   * @returns {string} StatsD lines for getExportState()
+   */
+  toStatsD(prefix) {
+    return toStatsD(this.getExportState(), prefix);
+  }
+
+  /**
+   * Bridge internal events to the user hooks declared in config
+   */
+  _subscribeHooks() {
+    const { onMetric, onAnomaly, debug } = this.config;
+
+    if (typeof onMetric === 'function') {
+      this._subscriptions.push(
+        this.eventBus.on('metric:collected', (event) => onMetric(event.payload))
+      );
+    }
+
+    // Deduplicated stream: one call per incident (plus reminders), not per occurrence
+    if (typeof onAnomaly === 'function') {
+      this._subscriptions.push(
+        this.eventBus.on('anomaly:reported', (event) => onAnomaly(event.payload))
+      );
+    }
+
+    if (debug) {
+      this._subscriptions.push(
+        this.eventBus.on('error:internal', (event) => {
+          console.warn('[PerfSDK] Internal error from', event.source, event.payload);
+        })
+      );
+    }
+  }
+
+  _log(...args) {
+    if (this.config?.debug) {
+      console.log('[PerfSDK]', ...args);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+const WINDOW_MS = 60000;
+
+/**
+ * Token-bucket limiter for collector output, so the SDK cannot become the
+ * performance problem it is measuring (e.g. a jank storm emitting a
+ * frame_drop on every rAF tick).
+ *
+ * Two layers of buckets, both refilling continuously:
+ *  - global:     config.maxEventsPerMinute across all metrics
+ *  - per metric: config.metricRateLimits[name] events/minute, if set
+ *
+ * An event needs a token from both. Dropped events are counted per name
+ * and summarized once per minute as a single `sdk_events_dropped` metric,
+ * which itself bypasses the limiter.
+ */
+export class RateLimiter {
+  /**
+   * @param {import('./EventBus.js').EventBus} eventBus
+   * @param {Object} config - merged SDK config
+   */
+  constructor(eventBus, config) {
+    this.eventBus = eventBus;
+    this._global = this._createBucket(config.maxEventsPerMinute);
+    this._limits = config.metricRateLimits ?? {};
+
+    /** @type {Map<string, Bucket>} */
+    this._perMetric = new Map();
+
+    /** @type {Map<string, number>} dropped count per metric name, this window */
+    this._dropped = new Map();
+    this._windowStart = Date.now();
+    this._reportInterval = null;
+  }
+
+  start() {
+    if (this._reportInterval) return;
+    this._windowStart = Date.now();
+    this._reportInterval = setInterval(() => this._reportDropped(), WINDOW_MS);
+  }
+
+  stop() {
+    if (this._reportInterval) clearInterval(this._reportInterval);
+    this._reportInterval = null;
+    this._reportDropped();
+  }
+
+  /**
+   * Take a token for one event of this metric.
+   * @param {string} name
+   * @returns {boolean} false = drop the event
+   */
+  tryAcquire(name) {
+    const now = performance.now();
+    const metricBucket = this._bucketFor(name);
+
+    this._refill(this._global, now);
+    if (metricBucket) this._refill(metricBucket, now);
+
+    if (this._global.tokens < 1 || (metricBucket && metricBucket.tokens < 1)) {
+      this._dropped.set(name, (this._dropped.get(name) ?? 0) + 1);
+      return false;
+    }
+
+    this._global.tokens -= 1;
+    if (metricBucket) metricBucket.tokens -= 1;
+    return true;
+  }
+
+  _bucketFor(name) {
+    const limit = this._limits[name];
+    if (!limit) return null;
+
+    if (!this._perMetric.has(name)) {
+      this._perMetric.set(name, this._createBucket(limit));
+    }
+    return this._perMetric.get(name);
+  }
+
+  _createBucket(perMinute) {
+    return {
+      capacity: perMinute,
+      tokens: perMinute,
+      refillPerMs: perMinute / WINDOW_MS,
+      lastRefill: performance.now(),
+    };
+  }
+
+  _refill(bucket, now) {
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) * bucket.refillPerMs);
+    bucket.lastRefill = now;
+  }
+
+  _reportDropped() {
+    const windowMs = Date.now() - this._windowStart;
+    this._windowStart = Date.now();
+    if (this._dropped.size === 0) return;
+
+    const byName = Object.fromEntries(this._dropped);
+    const total = [...this._dropped.values()].reduce((sum, n) => sum + n, 0);
+    this._dropped.clear();
+
+    this.eventBus.emit('metric:collected', 'RateLimiter', {
+      name: 'sdk_events_dropped',
+      value: total,
+      unit: 'count',
+      tags: {},
+      metadata: { byName, windowMs },
+      timestamp: performance.now(),
+    });
+  }
+}
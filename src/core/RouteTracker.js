@@ -0,0 +1,232 @@
+/**
+ * SPA route tracking. Knows the active route template ('/deals/:id')
+ * so collectors can tag metrics with it, and times soft navigations.
+ *
+ * Patches history.pushState / replaceState and listens to popstate and
+ * hashchange. A navigation only counts when the route template changes,
+ * not on every query-string or id change within the same view.
+ *
+ *   pushState('/deals/42') ──► 'route:changed' { from, to, trigger, startTime }
+ *        │                         (WebVitals resets CLS / INP / LCP here)
+ *        ▼
+ *   DOM nodes added / removed... quiet for routing.settleMs
+ *        ▼
+ *   'route_change' metric = URL change → last DOM change of the transition
+ */
+export class RouteTracker {
+  /**
+   * @param {import('./EventBus.js').EventBus} eventBus
+   * @param {Object} config - merged SDK config
+   */
+  constructor(eventBus, config) {
+    this.eventBus = eventBus;
+    this.config = config;
+    this.isRunning = false;
+
+    /** @type {import('./RateLimiter.js').RateLimiter|null} set by PerfSDK */
+    this.rateLimiter = null;
+
+    const routing = config.routing ?? {};
+    this.patterns = routing.patterns ?? [];
+    this.settleMs = routing.settleMs ?? 100;
+    this.maxDurationMs = routing.maxDurationMs ?? 10000;
+
+    /** Active route template */
+    this.route = normalizeRoute(window.location.href, this.patterns);
+    /** 'hard' until the first soft navigation */
+    this.navigation = 'hard';
+    this.navigationCount = 0;
+
+    this._pending = null;
+    /** @type {{pushState: {original: Function, wrapper: Function}, replaceState: {original: Function, wrapper: Function}}|null} */
+    this._historyPatch = null;
+    this._onPopState = () => this._onNavigate('popstate');
+    this._onHashChange = () => this._onNavigate('hashchange');
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const tracker = this;
+    this._historyPatch = {};
+    for (const method of ['pushState', 'replaceState']) {
+      const original = window.history[method];
+      const wrapper = function (...args) {
+        const result = original.apply(this, args);
+        // Still reachable after stop() if another script wrapped us meanwhile
+        if (tracker.isRunning) tracker._onNavigate(method);
+        return result;
+      };
+      window.history[method] = wrapper;
+      this._historyPatch[method] = { original, wrapper };
+    }
+
+    window.addEventListener('popstate', this._onPopState);
+    window.addEventListener('hashchange', this._onHashChange);
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+
+    // Only undo our own patch: if another script wrapped ours since,
+    // restoring would silently remove theirs
+    for (const [method, { original, wrapper }] of Object.entries(this._historyPatch ?? {})) {
+      if (window.history[method] === wrapper) window.history[method] = original;
+    }
+    this._historyPatch = null;
+    window.removeEventListener('popstate', this._onPopState);
+    window.removeEventListener('hashchange', this._onHashChange);
+
+    this._finish('interrupted');
+    this.isRunning = false;
+  }
+
+  _onNavigate(trigger) {
+    const to = normalizeRoute(window.location.href, this.patterns);
+    if (to === this.route) return;
+
+    // A navigation still settling ends where the next one starts
+    this._finish('interrupted');
+
+    const from = this.route;
+    this.route = to;
+    this.navigation = 'soft';
+    this.navigationCount++;
+
+    const pending = {
+      from,
+      to,
+      trigger,
+      startTime: performance.now(),
+      lastChange: null,
+      mutations: 0,
+      observer: null,
+      timer: null,
+    };
+    this._pending = pending;
+
+    this.eventBus.emit('route:changed', 'RouteTracker', {
+      from,
+      to,
+      trigger,
+      startTime: pending.startTime,
+      navigationCount: this.navigationCount,
+    });
+
+    pending.observer = new MutationObserver((records) => {
+      pending.mutations += records.length;
+      pending.lastChange = performance.now();
+    });
+    // The new view rendering is nodes coming and going; attribute and text
+    // churn (tickers, spinners, hover styles) would keep it from settling
+    pending.observer.observe(document.documentElement, { childList: true, subtree: true });
+
+    pending.timer = setInterval(() => {
+      const now = performance.now();
+      const quietSince = pending.lastChange ?? pending.startTime;
+      if (now - quietSince >= this.settleMs) this._finish('settled');
+      else if (now - pending.startTime >= this.maxDurationMs) this._finish('timeout');
+    }, Math.max(16, this.settleMs / 2));
+  }
+
+  /**
+   * @param {'settled'|'timeout'|'interrupted'} outcome
+   */
+  _finish(outcome) {
+    const pending = this._pending;
+    if (!pending) return;
+    this._pending = null;
+
+    // Changes made in this task haven't reached the callback yet
+    const late = pending.observer.takeRecords();
+    if (late.length > 0) {
+      pending.mutations += late.length;
+      pending.lastChange = performance.now();
+    }
+    pending.observer.disconnect();
+    clearInterval(pending.timer);
+
+    const duration = (pending.lastChange ?? pending.startTime) - pending.startTime;
+
+    if (this.rateLimiter && !this.rateLimiter.tryAcquire('route_change')) return;
+
+    this.eventBus.emit('metric:collected', 'RouteTracker', {
+      name: 'route_change',
+      value: Math.round(duration * 100) / 100,
+      unit: 'ms',
+      tags: { route: pending.to, from: pending.from, trigger: pending.trigger },
+      metadata: {
+        mutations: pending.mutations,
+        outcome,
+      },
+      timestamp: performance.now(),
+    });
+  }
+}
+
+const patternCache = new Map();
+
+/**
+ * URL → route template.
+ *
+ * Hash routers ('#/deals/42', '#!/deals/42') use the hash as the path.
+ * The first matching routing.patterns entry wins ('/deals/:id', '/files/*');
+ * otherwise segments that look like ids become ':id':
+ *   /deals/12345/notes        → /deals/:id/notes
+ *   /u/3f2a9c1e-...-7b        → /u/:id
+ *   /doc/a8F3kQ9zX2mN7pL4     → /doc/:id
+ * Query string and the rest of the hash are dropped.
+ *
+ * @param {string} url
+ * @param {Array<string>} [patterns]
+ * @returns {string}
+ */
+export function normalizeRoute(url, patterns = []) {
+  let parsed;
+  try {
+    parsed = new URL(url, 'http://localhost');
+  } catch {
+    return 'unknown';
+  }
+
+  const hashRoute = parsed.hash.match(/^#!?(\/[^?]*)/);
+  let path = hashRoute ? hashRoute[1] : parsed.pathname;
+  if (path.length > 1) path = path.replace(/\/+$/, '');
+
+  for (const pattern of patterns) {
+    if (compilePattern(pattern).test(path)) return pattern;
+  }
+
+  return path
+    .split('/')
+    .map((segment) => (looksLikeId(segment) ? ':id' : segment))
+    .join('/');
+}
+
+function compilePattern(pattern) {
+  let regex = patternCache.get(pattern);
+  if (!regex) {
+    const source = pattern
+      .replace(/\/+$/, '')
+      .split('/')
+      .map((segment) => {
+        if (segment === '*') return '.*';
+        if (segment.startsWith(':')) return '[^/]+';
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+    regex = new RegExp(`^${source || '/'}$`);
+    patternCache.set(pattern, regex);
+  }
+  return regex;
+}
+
+function looksLikeId(segment) {
+  return (
+    /^\d+$/.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+    /^(?=.*\d)[0-9a-f]{12,}$/i.test(segment) ||
+    /^(?=.*\d)(?=.*[a-zA-Z])[A-Za-z0-9_]{16,}$/.test(segment)
+  );
+}
@@ -0,0 +1,215 @@
+/**
+ * Versioned wire format for everything the SDK sends.
+ *
+ * Bump SCHEMA_VERSION on any breaking change to the shapes below, so
+ * ingestion can branch on `batch.schemaVersion` instead of guessing.
+ *
+ * Batch envelope (v1):
+ * {
+ *   schemaVersion: 1,
+ *   id: string,
+ *   sdk: { name, version },
+ *   app: { name, version, environment },
+ *   session: { id },
+ *   page: { url },
+ *   userAgent: string|null,
+ *   sentAt: number,                // epoch ms
+ *   events: Array<{
+ *     type: 'metric:collected' | 'metric:summary' | 'anomaly:reported' | 'anomaly:resolved',
+ *     source: string,
+ *     timestamp: number,           // performance.now()
+ *     wallTime: number,            // epoch ms
+ *     pageUrl: string,
+ *     sampleWeight: number,
+ *     payload: MetricEntry | MetricSummary | AnomalyEvent | IncidentSummary,
+ *   }>
+ * }
+ *
+ * MetricEntry:  see BaseCollector (metadata optional)
+ * AnomalyEvent: { type, severity, metric: { name, value, unit, tags }, message, baseline: {mean, stdDev}|null,
+ *                 score: 0-1, timestamp, context: Object, incident?: IncidentSummary }
+ */
+export const SCHEMA_VERSION = 1;
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Field rules: type check plus the value used to repair a bad field.
+ * `repair` may be a function of the whole object. A repaired value
+ * that still fails the check makes the object unusable.
+ */
+const METRIC_FIELDS = {
+  name: { check: isNonEmptyString },
+  value: { check: Number.isFinite, repair: (m) => parseNumeric(m.value) },
+  unit: { check: isString, repair: '' },
+  tags: { check: isPlainObject, repair: () => ({}) },
+  metadata: { check: (v) => v === undefined || v === null || isPlainObject(v), repair: null },
+  timestamp: { check: Number.isFinite, repair: () => performance.now() },
+};
+
+// The metric inside an anomaly is a reference; the anomaly carries its own timestamp
+const ANOMALY_METRIC_FIELDS = {
+  name: METRIC_FIELDS.name,
+  value: METRIC_FIELDS.value,
+  unit: METRIC_FIELDS.unit,
+  tags: METRIC_FIELDS.tags,
+};
+
+const ANOMALY_FIELDS = {
+  type: { check: isNonEmptyString },
+  severity: { check: (v) => SEVERITIES.includes(v), repair: 'warning' },
+  message: { check: isString, repair: (a) => `${a.type} on ${a.metric?.name ?? 'unknown'}` },
+  baseline: {
+    check: (v) => v === null || (isPlainObject(v) && Number.isFinite(v.mean) && Number.isFinite(v.stdDev)),
+    repair: null,
+  },
+  score: { check: (v) => Number.isFinite(v) && v >= 0 && v <= 1, repair: (a) => clamp01(a.score) },
+  timestamp: { check: Number.isFinite, repair: () => Date.now() },
+  context: { check: isPlainObject, repair: () => ({}) },
+};
+
+const SUMMARY_FIELDS = {
+  name: { check: isNonEmptyString },
+  count: { check: Number.isFinite },
+  sum: { check: Number.isFinite },
+  min: { check: Number.isFinite },
+  max: { check: Number.isFinite },
+};
+
+const INCIDENT_FIELDS = {
+  id: { check: isNonEmptyString },
+  fingerprint: { check: isNonEmptyString },
+  count: { check: Number.isFinite },
+};
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid    - usable as-is, or after repair
+ * @property {Array<string>} errors - every problem found, repaired or not
+ * @property {Object|null} value - the (possibly repaired) object, null if unusable
+ */
+
+/**
+ * @param {Object} metric
+ * @param {{repair?: boolean}} [options]
+ * @returns {ValidationResult}
+ */
+export function validateMetric(metric, options = {}) {
+  return validateFields(metric, METRIC_FIELDS, 'metric', options);
+}
+
+/**
+ * @param {Object} anomaly
+ * @param {{repair?: boolean}} [options]
+ * @returns {ValidationResult}
+ */
+export function validateAnomaly(anomaly, options = {}) {
+  const result = validateFields(anomaly, ANOMALY_FIELDS, 'anomaly', options);
+  if (!result.value) return result;
+
+  const metric = validateFields(anomaly.metric, ANOMALY_METRIC_FIELDS, 'anomaly.metric', options);
+  result.errors.push(...metric.errors);
+  if (!metric.value) return { valid: false, errors: result.errors, value: null };
+
+  result.value.metric = metric.value;
+  return result;
+}
+
+/**
+ * Validate every event of a batch envelope. Unusable events are removed.
+ * @param {Object} batch
+ * @param {{repair?: boolean}} [options] - repair: false rejects any event with an error
+ * @returns {{batch: Object, errors: Array<string>, rejected: number}}
+ */
+export function validateBatch(batch, options = {}) {
+  const errors = [];
+  const events = [];
+
+  for (const [i, event] of batch.events.entries()) {
+    const result = validateEvent(event, options);
+    errors.push(...result.errors.map((e) => `events[${i}] (${event?.type}): ${e}`));
+    if (result.value) events.push(result.value);
+  }
+
+  if (batch.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${batch.schemaVersion} !== ${SCHEMA_VERSION}`);
+  }
+
+  return {
+    batch: { ...batch, events },
+    errors,
+    rejected: batch.events.length - events.length,
+  };
+}
+
+function validateEvent(event, options) {
+  if (!isPlainObject(event)) return { valid: false, errors: ['event is not an object'], value: null };
+
+  let result;
+  switch (event.type) {
+    case 'metric:collected':
+      result = validateMetric(event.payload, options);
+      break;
+    case 'metric:summary':
+      result = validateFields(event.payload, SUMMARY_FIELDS, 'summary', options);
+      break;
+    case 'anomaly:reported':
+      result = validateAnomaly(event.payload, options);
+      break;
+    case 'anomaly:resolved':
+      result = validateFields(event.payload, INCIDENT_FIELDS, 'incident', options);
+      break;
+    default:
+      return { valid: false, errors: [`unknown event type "${event.type}"`], value: null };
+  }
+
+  if (!result.value) return result;
+  return { ...result, value: { ...event, payload: result.value } };
+}
+
+function validateFields(obj, fields, label, { repair = true } = {}) {
+  if (!isPlainObject(obj)) {
+    return { valid: false, errors: [`${label} is not an object`], value: null };
+  }
+
+  const errors = [];
+  const value = { ...obj };
+
+  for (const [field, rule] of Object.entries(fields)) {
+    if (rule.check(obj[field])) continue;
+
+    errors.push(`${label}.${field} invalid (${JSON.stringify(obj[field])})`);
+
+    // No repair rule = required field; no safe default exists
+    if (!repair || !('repair' in rule)) {
+      return { valid: false, errors, value: null };
+    }
+    value[field] = typeof rule.repair === 'function' ? rule.repair(obj) : rule.repair;
+    if (!rule.check(value[field])) {
+      return { valid: false, errors, value: null };
+    }
+  }
+
+  return { valid: true, errors, value };
+}
+
+function isString(v) {
+  return typeof v === 'string';
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.length > 0;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// "120" / " 1.5e3 " → number; anything else stays invalid
+function parseNumeric(v) {
+  return typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+}
+
+function clamp01(v) {
+  return Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : 0;
+}
@@ -0,0 +1,296 @@
+import { randomHex } from '../utils/id.js';
+import { SDK_NAME, SDK_VERSION } from '../core/Config.js';
+
+const SCOPE = { name: SDK_NAME, version: SDK_VERSION };
+
+// OTLP SpanKind / StatusCode / SeverityNumber enums
+const SPAN_KIND_CLIENT = 3;
+const STATUS_CODE_OK = 1;
+const STATUS_CODE_ERROR = 2;
+const SEVERITY = {
+  info: { number: 9, text: 'INFO' },
+  warning: { number: 13, text: 'WARN' },
+  critical: { number: 17, text: 'ERROR' },
+};
+
+/**
+ * Translates transport batches into OpenTelemetry OTLP/HTTP JSON and
+ * posts them to a collector (default paths /v1/metrics, /v1/logs, /v1/traces).
+ *
+ * Mapping:
+ *   metric:collected  → gauge data point (tags → attributes)
+ *   metric:collected  api_call → CLIENT span (method, path, status)
+ *   metric:summary    → explicit-bucket histogram (buckets from the DDSketch bins)
+ *   anomaly:reported  → log record, WARN / ERROR by severity
+ *   anomaly:resolved  → log record, INFO
+ *
+ * Resource attributes come from config: service.name = appName,
+ * service.version = version, deployment.environment = environment.
+ *
+ * toOtlp() is pure, so the mapping can be checked without a network;
+ * export() only needs `endpoint` to point at any HTTP server.
+ *
+ * A batch is up to three requests. When some fail, export() remembers
+ * which signals were delivered for that batch id, so the Transport's
+ * retry of the batch re-posts only the failed ones instead of
+ * duplicating the others.
+ */
+export class OtlpExporter {
+  /**
+   * @param {Object} config - merged SDK config
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] - collector base URL, e.g. http://localhost:4318
+   * @param {Object} [options.headers]
+   * @param {Function} [options.fetch] - fetch implementation (defaults to the global)
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.endpoint = (options.endpoint ?? config.transport.endpoint ?? '').replace(/\/$/, '');
+    this.headers = options.headers ?? config.transport.headers ?? {};
+    this._fetch = options.fetch ?? ((...args) => fetch(...args));
+
+    this._MAX_PARTIAL_BATCHES = 50;
+    /** @type {Map<string, Set<string>>} batch id → signals already delivered, for batches awaiting a retry */
+    this._delivered = new Map();
+  }
+
+  /**
+   * @param {Object} batch - Transport batch
+   * @param {{unloading?: boolean}} [options]
+   */
+  async export(batch, options = {}) {
+    const paths = { metrics: '/v1/metrics', logs: '/v1/logs', traces: '/v1/traces' };
+    const delivered = this._delivered.get(batch.id) ?? new Set();
+    const pending = Object.entries(this.toOtlp(batch)).filter(([signal]) => !delivered.has(signal));
+
+    const results = await Promise.allSettled(
+      pending.map(async ([signal, body]) => {
+        const response = await this._fetch(this.endpoint + paths[signal], {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...this.headers },
+          body: JSON.stringify(body),
+          keepalive: Boolean(options.unloading),
+        });
+
+        if (!response.ok) {
+          const error = new Error(`OTLP ${signal} export failed: HTTP ${response.status}`);
+          error.retryable = response.status >= 500 || response.status === 429;
+          error.signal = signal;
+          throw error;
+        }
+      })
+    );
+
+    const errors = [];
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') delivered.add(pending[i][0]);
+      else errors.push(result.reason);
+    });
+
+    // A retry can only help the signals that failed with a retryable error
+    const retryable = errors.filter((e) => e.retryable !== false);
+    this._delivered.delete(batch.id);
+    if (retryable.length === 0) {
+      if (errors.length) throw errors[0];
+      return;
+    }
+
+    for (const e of errors) {
+      if (e.retryable === false) delivered.add(e.signal);
+    }
+    this._delivered.set(batch.id, delivered);
+    if (this._delivered.size > this._MAX_PARTIAL_BATCHES) {
+      this._delivered.delete(this._delivered.keys().next().value);
+    }
+    throw retryable[0];
+  }
+
+  /**
+   * @param {Object} batch - Transport batch
+   * @returns {{metrics?: Object, logs?: Object, traces?: Object}} one OTLP request body per non-empty signal
+   */
+  toOtlp(batch) {
+    const resource = { attributes: this._resourceAttributes(batch) };
+    const metrics = [];
+    const logRecords = [];
+    const spans = [];
+
+    for (const event of batch.events) {
+      switch (event.type) {
+        case 'metric:collected':
+          if (event.payload.name === 'api_call') spans.push(this._toSpan(event));
+          else metrics.push(this._toGauge(event));
+          break;
+        case 'metric:summary':
+          metrics.push(this._toHistogram(event));
+          break;
+        case 'anomaly:reported':
+        case 'anomaly:resolved':
+          logRecords.push(this._toLogRecord(event));
+          break;
+        default:
+          break;
+      }
+    }
+
+    const result = {};
+    if (metrics.length) {
+      result.metrics = { resourceMetrics: [{ resource, scopeMetrics: [{ scope: SCOPE, metrics }] }] };
+    }
+    if (logRecords.length) {
+      result.logs = { resourceLogs: [{ resource, scopeLogs: [{ scope: SCOPE, logRecords }] }] };
+    }
+    if (spans.length) {
+      result.traces = { resourceSpans: [{ resource, scopeSpans: [{ scope: SCOPE, spans }] }] };
+    }
+    return result;
+  }
+
+  _resourceAttributes(batch) {
+    return toAttributes({
+      'service.name': this.config.appName,
+      'service.version': this.config.version,
+      'deployment.environment': this.config.environment,
+      'telemetry.sdk.name': SCOPE.name,
+      'telemetry.sdk.language': 'webjs',
+      'telemetry.sdk.version': SDK_VERSION,
+      'session.id': batch.session?.id,
+    });
+  }
+
+  _toGauge(event) {
+    const metric = event.payload;
+    return {
+      name: metric.name,
+      unit: metric.unit,
+      gauge: {
+        dataPoints: [
+          {
+            timeUnixNano: toUnixNano(event.wallTime),
+            asDouble: metric.value,
+            attributes: toAttributes({ ...metric.tags, 'sample.weight': event.sampleWeight }),
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * DDSketch bucket i covers (γ^(i-1), γ^i], so the populated bins map
+   * directly onto explicit upper bounds.
+   */
+  _toHistogram(event) {
+    const summary = event.payload;
+    const { relativeAccuracy, zeroCount, bins } = summary.sketch;
+    const gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+
+    const indexes = Object.keys(bins).map(Number).sort((a, b) => a - b);
+    const explicitBounds = [0, ...indexes.map((i) => Math.pow(gamma, i))];
+    // One more count than bounds: the last bucket is (lastBound, +Inf) and is empty
+    const bucketCounts = [zeroCount, ...indexes.map((i) => bins[i]), 0].map((c) => String(Math.round(c)));
+
+    return {
+      name: summary.name,
+      unit: summary.unit,
+      histogram: {
+        aggregationTemporality: 1, // DELTA: each summary covers one flush interval
+        dataPoints: [
+          {
+            startTimeUnixNano: toUnixNano(summary.startTime),
+            timeUnixNano: toUnixNano(summary.endTime),
+            count: String(Math.round(summary.count)),
+            sum: summary.sum,
+            min: summary.min,
+            max: summary.max,
+            explicitBounds,
+            bucketCounts,
+            attributes: toAttributes(summary.tags),
+          },
+        ],
+      },
+    };
+  }
+
+  _toSpan(event) {
+    const metric = event.payload;
+    const { method = 'GET', url = 'unknown', status } = metric.tags ?? {};
+    const failed = metric.tags?.ok === false || status >= 400;
+
+    return {
+      traceId: randomHex(16),
+      spanId: randomHex(8),
+      name: `${method} ${url}`,
+      kind: SPAN_KIND_CLIENT,
+      startTimeUnixNano: toUnixNano(event.wallTime - metric.value),
+      endTimeUnixNano: toUnixNano(event.wallTime),
+      attributes: toAttributes({
+        'http.request.method': method,
+        'url.path': url,
+        'http.response.status_code': status,
+        'network.transport': metric.tags?.transport ?? 'fetch',
+        'sample.weight': event.sampleWeight,
+      }),
+      status: { code: failed ? STATUS_CODE_ERROR : STATUS_CODE_OK },
+    };
+  }
+
+  _toLogRecord(event) {
+    const payload = event.payload;
+    const resolved = event.type === 'anomaly:resolved';
+    const severity = resolved ? SEVERITY.info : SEVERITY[payload.severity] ?? SEVERITY.warning;
+
+    const attributes = resolved
+      ? {
+          'event.name': 'perf.anomaly.resolved',
+          'incident.id': payload.id,
+          'incident.count': payload.count,
+          'incident.duration_ms': payload.durationMs,
+          'metric.name': payload.metricName,
+          'resolve.reason': payload.reason,
+        }
+      : {
+          'event.name': 'perf.anomaly',
+          'anomaly.type': payload.type,
+          'anomaly.score': payload.score,
+          'metric.name': payload.metric?.name,
+          'metric.value': payload.metric?.value,
+          'incident.id': payload.incident?.id,
+          'incident.count': payload.incident?.count,
+        };
+
+    return {
+      timeUnixNano: toUnixNano(event.wallTime),
+      severityNumber: severity.number,
+      severityText: severity.text,
+      body: {
+        stringValue: resolved ? `Resolved: ${payload.fingerprint} after ${payload.count} occurrences` : payload.message,
+      },
+      attributes: toAttributes(attributes),
+    };
+  }
+}
+
+/**
+ * Plain object → OTLP KeyValue list. Drops null / undefined values.
+ */
+function toAttributes(obj = {}) {
+  const attributes = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === null || value === undefined) continue;
+
+    let otlpValue;
+    if (typeof value === 'boolean') otlpValue = { boolValue: value };
+    else if (typeof value === 'number') otlpValue = { doubleValue: value };
+    else otlpValue = { stringValue: String(value) };
+
+    attributes.push({ key, value: otlpValue });
+  }
+  return attributes;
+}
+
+/**
+ * Epoch ms → nanosecond string. BigInt: ms * 1e6 is past Number.MAX_SAFE_INTEGER.
+ */
+function toUnixNano(ms) {
+  return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
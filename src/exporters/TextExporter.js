@@ -0,0 +1,148 @@
+/**
+ * Plain-text exports of the SDK's current aggregate state, for local
+ * debugging and for a small relay that re-exposes it to Prometheus / StatsD.
+ *
+ * Both functions are pure and take the same state object, built by
+ * PerfSDK.getExportState():
+ * {
+ *   labels: { app, version, environment },      // added to every series
+ *   baselines: [{ name, mean, stdDev, p50, p90, p95, p99, sampleCount }],
+ *   snapshots: [{ collector, metrics: MetricEntry[] }],
+ *   anomalyCounts: [{ type, severity, count }],
+ * }
+ */
+
+const QUANTILES = [
+  ['p50', '0.5'],
+  ['p90', '0.9'],
+  ['p95', '0.95'],
+  ['p99', '0.99'],
+];
+
+/**
+ * Prometheus text exposition format (0.0.4)
+ * @param {Object} state
+ * @returns {string}
+ */
+export function toPrometheusText(state) {
+  const base = state.labels ?? {};
+
+  // Families are keyed by their sanitized name, so two metric names that
+  // sanitize alike ('heap-used', 'heap.used') share one HELP/TYPE header.
+  // Within a family, a repeated label set keeps the last value.
+  const families = new Map();
+  const family = (name, type, help, samples) => {
+    if (samples.length === 0) return;
+    if (!families.has(name)) families.set(name, { type, help, series: new Map() });
+    const { series } = families.get(name);
+    for (const [labels, value] of samples) {
+      series.set(formatLabels({ ...base, ...labels }), value);
+    }
+  };
+
+  const baselines = state.baselines ?? [];
+  family('perfsdk_baseline_mean', 'gauge', 'Learned baseline mean per metric',
+    baselines.map((b) => [{ metric: b.name }, b.mean]));
+  family('perfsdk_baseline_stddev', 'gauge', 'Learned baseline standard deviation per metric',
+    baselines.map((b) => [{ metric: b.name }, b.stdDev]));
+  family('perfsdk_baseline_quantile', 'gauge', 'Learned baseline percentiles per metric',
+    baselines.flatMap((b) => QUANTILES.map(([key, q]) => [{ metric: b.name, quantile: q }, b[key]])));
+  family('perfsdk_baseline_samples', 'gauge', 'Samples behind each baseline',
+    baselines.map((b) => [{ metric: b.name }, b.sampleCount]));
+
+  for (const { collector, metrics } of state.snapshots ?? []) {
+    for (const metric of metrics) {
+      family(`perfsdk_${sanitizeName(metric.name)}`, 'gauge', `Current ${metric.name} (${metric.unit})`,
+        [[{ collector, unit: metric.unit }, metric.value]]);
+    }
+  }
+
+  family('perfsdk_anomalies_total', 'counter', 'Anomalies detected by type and severity',
+    (state.anomalyCounts ?? []).map((a) => [{ type: a.type, severity: a.severity }, a.count]));
+
+  const lines = [];
+  for (const [name, { type, help, series }] of families) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of series) {
+      lines.push(`${name}${labels} ${formatValue(value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * StatsD lines, with tags in the DogStatsD `|#key:value` extension
+ * (ignored by plain StatsD servers that don't understand it)
+ * @param {Object} state
+ * @param {string} [prefix='perfsdk']
+ * @returns {string}
+ */
+export function toStatsD(state, prefix = 'perfsdk') {
+  const lines = [];
+  const base = state.labels ?? {};
+
+  const line = (name, value, type, tags = {}) => {
+    if (!Number.isFinite(value)) return;
+    const allTags = Object.entries({ ...base, ...tags })
+      .filter(([, v]) => v !== undefined && v !== null)
+      .map(([k, v]) => `${sanitizeStatsD(k)}:${sanitizeStatsD(String(v))}`);
+    lines.push(`${prefix}.${name}:${value}|${type}${allTags.length ? `|#${allTags.join(',')}` : ''}`);
+  };
+
+  for (const b of state.baselines ?? []) {
+    const metric = sanitizeStatsD(b.name);
+    line(`baseline.${metric}.mean`, b.mean, 'g');
+    line(`baseline.${metric}.stddev`, b.stdDev, 'g');
+    for (const [key] of QUANTILES) line(`baseline.${metric}.${key}`, b[key], 'g');
+    line(`baseline.${metric}.samples`, b.sampleCount, 'g');
+  }
+
+  for (const { collector, metrics } of state.snapshots ?? []) {
+    for (const metric of metrics) {
+      line(sanitizeStatsD(metric.name), metric.value, 'g', { collector });
+    }
+  }
+
+  for (const a of state.anomalyCounts ?? []) {
+    // Gauge, not counter: this is a running total, not an increment since the last push
+    line('anomalies', a.count, 'g', { type: a.type, severity: a.severity });
+  }
+
+  return lines.join('\n') + (lines.length ? '\n' : '');
+}
+
+/**
+ * Metric names: [a-zA-Z_:][a-zA-Z0-9_:]*
+ */
+function sanitizeName(name) {
+  const cleaned = String(name).replace(/[^a-zA-Z0-9_:]/g, '_');
+  return /^[a-zA-Z_:]/.test(cleaned) ? cleaned : `_${cleaned}`;
+}
+
+/**
+ * Label names: [a-zA-Z_][a-zA-Z0-9_]*, values escaped (\\, ", newline)
+ */
+function formatLabels(labels) {
+  const parts = Object.entries(labels)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => {
+      const key = sanitizeName(k).replace(/:/g, '_');
+      const value = String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${key}="${value}"`;
+    });
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * StatsD reserves : | @ # , and whitespace
+ */
+function sanitizeStatsD(str) {
+  return str.replace(/[:|@#,\s]/g, '_');
+}
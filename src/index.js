@@ -0,0 +1,43 @@
+import { PerfSDK } from './core/PerfSDK.js';
+
+export { PerfSDK };
+export { DEFAULT_CONFIG, SDK_NAME, SDK_VERSION, mergeConfig } from './core/Config.js';
+export { EventBus } from './core/EventBus.js';
+export { Timer } from './core/Timer.js';
+export { RouteTracker, normalizeRoute } from './core/RouteTracker.js';
+export {
+  SCHEMA_VERSION,
+  validateMetric,
+  validateAnomaly,
+  validateBatch,
+} from './core/Schema.js';
+export { AnomalyEngine } from './anamolies/AnomalyEngine.js';
+export { BaselineManager } from './anamolies/BaselineManager.js';
+export { IncidentManager } from './anamolies/IncidentManager.js';
+export { ZScoreStrategy } from './anamolies/strategies/ZScoreStrategy.js';
+export { EMAStrategy } from './anamolies/strategies/EMAStrategy.js';
+export { IQRStrategy } from './anamolies/strategies/IQRStrategy.js';
+export { ThresholdStrategy } from './anamolies/strategies/ThresholdStrategy.js';
+export { CompositeStrategy, DEFAULT_ROUTES } from './anamolies/strategies/CompositeStrategy.js';
+export { Transport } from './transport/Transport.js';
+export { LocalStorageSender } from './transport/senders/LocalStorageSender.js';
+export { encodeBatch, encodeBatchParts, decodeBatch, CONTENT_TYPES } from './transport/encoding/BatchEncoding.js';
+export { encodeCompact, decodeCompact } from './transport/encoding/CompactCodec.js';
+export { DDSketch } from './utils/DDSketch.js';
+export { OtlpExporter } from './exporters/OtlpExporter.js';
+export { toPrometheusText, toStatsD } from './exporters/TextExporter.js';
+export { BaseAdapter } from './adapters/BaseAdapter.js';
+export { ReactAdapter } from './adapters/ReactAdapter.js';
+export { VueAdapter } from './adapters/VueAdapter.js';
+export { LyteAdapter } from './adapters/LyteAdapter.js';
+export { detectFramework } from './adapters/detect.js';
+export { supportsLongAnimationFrames } from './collectors/LongAnimationFrameCollector.js';
+export { InteractionCorrelator } from './collectors/InteractionCorrelator.js';
+
+/**
+ * Shared instance for apps that only need one SDK per page:
+ *   import perfSDK from 'perf-logger-sdk';
+ *   perfSDK.init({ appName: 'crm' }).start();
+ */
+const perfSDK = new PerfSDK();
+export default perfSDK;
@@ -0,0 +1,115 @@
+import { DDSketch } from '../utils/DDSketch.js';
+
+/**
+ * Rolls high-volume metrics into per-interval summaries instead of
+ * shipping every data point. This is most of the beacon traffic.
+ *
+ *   api_call ×300 ──► 1 summary per (name + key tags) per flush:
+ *     { count, sum, min, max, sketch }   ← sketch gives p50/p95/p99 after merging
+ *
+ * Raw events are still kept for "slow outliers" (severity warning or
+ * critical). Outliers are counted in the summary too, so the summary
+ * alone is always complete — raw outliers are exemplars, not extra data.
+ *
+ * Grouping uses only transport.aggregation.keyTags (method, status, ...),
+ * never URLs or ids, to keep the number of summaries bounded.
+ */
+export class Aggregator {
+  /**
+   * @param {Object} aggregationConfig - config.transport.aggregation
+   */
+  constructor(aggregationConfig) {
+    this.metrics = new Set(aggregationConfig.metrics ?? []);
+    this.keyTags = aggregationConfig.keyTags ?? [];
+    this.relativeAccuracy = aggregationConfig.relativeAccuracy ?? 0.01;
+
+    /** @type {Map<string, Object>} open summaries by key */
+    this._summaries = new Map();
+    this._intervalStart = Date.now();
+
+    /** Envelope fields of the last absorbed event, reused for summary events */
+    this._lastEvent = null;
+  }
+
+  /**
+   * @param {Object} event - EventBus 'metric:collected' event
+   * @param {number} [weight=1] - sample weight
+   * @returns {boolean} true if the raw event can be dropped
+   */
+  add(event, weight = 1) {
+    const metric = event.payload;
+    if (event.type !== 'metric:collected' || !this.metrics.has(metric?.name)) return false;
+    if (typeof metric.value !== 'number' || !Number.isFinite(metric.value)) return false;
+
+    const tags = {};
+    for (const key of this.keyTags) {
+      if (metric.tags?.[key] !== undefined) tags[key] = metric.tags[key];
+    }
+    const key = metric.name + JSON.stringify(tags);
+
+    let summary = this._summaries.get(key);
+    if (!summary) {
+      summary = {
+        name: metric.name,
+        unit: metric.unit,
+        tags,
+        count: 0,
+        sum: 0,
+        min: Infinity,
+        max: -Infinity,
+        sketch: new DDSketch(this.relativeAccuracy),
+      };
+      this._summaries.set(key, summary);
+    }
+
+    summary.count += weight;
+    summary.sum += metric.value * weight;
+    summary.min = Math.min(summary.min, metric.value);
+    summary.max = Math.max(summary.max, metric.value);
+    summary.sketch.add(metric.value, weight);
+
+    this._lastEvent = event;
+
+    const severity = metric.tags?.severity;
+    return severity !== 'warning' && severity !== 'critical';
+  }
+
+  hasData() {
+    return this._summaries.size > 0;
+  }
+
+  /**
+   * Close the current interval.
+   * @returns {Array<Object>} one 'metric:summary' event per key
+   */
+  drain() {
+    if (this._summaries.size === 0) return [];
+
+    const startTime = this._intervalStart;
+    const endTime = Date.now();
+    const { sessionId = null, pageUrl = null } = this._lastEvent ?? {};
+
+    const events = [...this._summaries.values()].map((summary) => ({
+      type: 'metric:summary',
+      timestamp: performance.now(),
+      wallTime: endTime,
+      source: 'Aggregator',
+      sessionId,
+      pageUrl,
+      sampleWeight: 1, // already folded into count / sum / sketch
+      payload: {
+        ...summary,
+        sketch: summary.sketch.toJSON(),
+        p50: summary.sketch.quantile(0.5),
+        p95: summary.sketch.quantile(0.95),
+        p99: summary.sketch.quantile(0.99),
+        startTime,
+        endTime,
+      },
+    }));
+
+    this._summaries.clear();
+    this._intervalStart = endTime;
+    return events;
+  }
+}
@@ -0,0 +1,130 @@
+const QUEUE_KEY = 'perfsdk:offline-queue';
+
+/**
+ * Persists batches that could not be delivered and replays them later.
+ *
+ * Bounded by both batch count and serialized size; when either cap is
+ * exceeded the OLDEST batches are evicted first. Batches are keyed by
+ * their id, so a batch queued twice (e.g. a retry racing an unload
+ * flush) is stored and replayed only once.
+ *
+ * Replay happens on the 'online' event and on the next page load.
+ *
+ * Every read-modify-write of the stored queue runs one at a time through
+ * a promise chain: with the IndexedDB backend the get and the set are
+ * separate async steps, and two overlapping enqueue() calls would
+ * otherwise each write back a queue missing the other's batch.
+ */
+export class OfflineQueue {
+  /**
+   * @param {ReturnType<import('../utils/Storage.js').createStorage>} storage
+   * @param {Object} [options]
+   * @param {number} [options.maxBatches=50]
+   * @param {number} [options.maxBytes=1048576]
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.maxBatches = options.maxBatches ?? 50;
+    this.maxBytes = options.maxBytes ?? 1024 * 1024;
+    this._replaying = false;
+    this._tail = Promise.resolve();
+  }
+
+  /**
+   * @param {Object} batch - must carry a unique `id`
+   */
+  enqueue(batch) {
+    return this._exclusive(async () => {
+      const queue = await this._load();
+      if (queue.some((entry) => entry.id === batch.id)) return;
+
+      queue.push({ id: batch.id, queuedAt: Date.now(), batch });
+      this._evict(queue);
+      await this.storage.set(QUEUE_KEY, queue);
+    });
+  }
+
+  /**
+   * Send queued batches oldest-first. Stops at the first retryable
+   * failure — if one batch can't get through, the rest won't either, and
+   * order is preserved. A batch the endpoint refuses for good
+   * (`error.retryable === false`, e.g. 400 or 413) is removed and passed
+   * to onDropped, so it can't block the queue forever.
+   *
+   * Sending happens outside the queue lock: batches enqueued meanwhile
+   * are kept and go out on the next replay.
+   *
+   * @param {(batch: Object) => Promise<void>} send
+   * @param {(batch: Object, error: Error) => void} [onDropped]
+   * @returns {Promise<number>} number of batches delivered
+   */
+  async replay(send, onDropped = () => {}) {
+    if (this._replaying) return 0;
+    this._replaying = true;
+
+    let delivered = 0;
+    try {
+      const queue = await this._exclusive(() => this._load());
+
+      for (const entry of queue) {
+        try {
+          await send(entry.batch);
+          delivered++;
+        } catch (e) {
+          if (e?.retryable !== false) break;
+          onDropped(entry.batch, e);
+        }
+        // Persist after every batch so a crash mid-replay can't resend
+        await this._remove(entry.id);
+      }
+    } finally {
+      this._replaying = false;
+    }
+
+    return delivered;
+  }
+
+  size() {
+    return this._exclusive(async () => (await this._load()).length);
+  }
+
+  clear() {
+    return this._exclusive(() => this.storage.remove(QUEUE_KEY));
+  }
+
+  _remove(id) {
+    return this._exclusive(async () => {
+      const queue = await this._load();
+      await this.storage.set(
+        QUEUE_KEY,
+        queue.filter((entry) => entry.id !== id)
+      );
+    });
+  }
+
+  /**
+   * Run `operation` after every operation queued before it has settled
+   */
+  _exclusive(operation) {
+    const result = this._tail.then(operation);
+    // A failed operation must not wedge the ones after it
+    this._tail = result.catch(() => {});
+    return result;
+  }
+
+  async _load() {
+    const queue = await this.storage.get(QUEUE_KEY);
+    return Array.isArray(queue) ? queue : [];
+  }
+
+  _evict(queue) {
+    while (queue.length > this.maxBatches) {
+      queue.shift();
+    }
+
+    let bytes = JSON.stringify(queue).length;
+    while (queue.length > 0 && bytes > this.maxBytes) {
+      bytes -= JSON.stringify(queue.shift()).length;
+    }
+  }
+}
@@ -0,0 +1,112 @@
+const WINDOW_MS = 60000;
+
+/**
+ * Decides which events get shipped, and how much each one "counts".
+ *
+ * 1. Session head sampling (transport.samplingRate)
+ *    A whole session is in or out. The decision is a hash of the sessionId,
+ *    so it's stable across reloads within a session and needs no storage.
+ *
+ * 2. Smart sampling (transport.smartSampling), inside sampled sessions:
+ *    Keep 100% of:
+ *      - anomaly events, and everything while an incident is open
+ *      - metrics tagged severity warning / critical
+ *      - rare metrics (≤ rareMetricThreshold per minute)
+ *    Down-sample steady-state high-volume metrics (api_call, fps, ...) to
+ *    roughly smartSamplingTargetPerMinute per metric name.
+ *
+ * Every kept event carries `sampleWeight` = 1 / probability it was kept
+ * with, so backends can re-scale counts: Σ sampleWeight ≈ true count.
+ */
+export class Sampler {
+  /**
+   * @param {Object} config - merged SDK config
+   * @param {import('../anamolies/IncidentManager.js').IncidentManager|null} [incidents]
+   */
+  constructor(config, incidents = null) {
+    const { samplingRate, smartSampling, smartSamplingTargetPerMinute, rareMetricThreshold } = config.transport;
+
+    this.samplingRate = Math.min(1, Math.max(0, samplingRate));
+    this.smartSampling = smartSampling;
+    this.targetPerMinute = smartSamplingTargetPerMinute;
+    this.rareThreshold = rareMetricThreshold;
+    this.incidents = incidents;
+
+    /** @type {Map<string, boolean>} head decision per session */
+    this._sessions = new Map();
+
+    /** @type {Map<string, number>} events seen per metric name, current / previous window */
+    this._counts = new Map();
+    this._previousCounts = new Map();
+    this._windowStart = Date.now();
+  }
+
+  /**
+   * @param {Object} event - EventBus event
+   * @returns {number} sample weight, 0 = drop
+   */
+  sample(event) {
+    if (!this.isSessionSampled(event.sessionId)) return 0;
+
+    const headWeight = 1 / this.samplingRate;
+    if (!this.smartSampling || event.type !== 'metric:collected') return headWeight;
+
+    const metric = event.payload;
+    const observedPerMinute = this._observe(metric.name);
+
+    const keepAll =
+      this.incidents?.hasOpenIncidents() ||
+      metric.tags?.severity === 'warning' ||
+      metric.tags?.severity === 'critical' ||
+      observedPerMinute <= this.rareThreshold;
+
+    if (keepAll) return headWeight;
+
+    const probability = Math.min(1, this.targetPerMinute / observedPerMinute);
+    if (Math.random() >= probability) return 0;
+
+    return headWeight / probability;
+  }
+
+  isSessionSampled(sessionId) {
+    if (this.samplingRate >= 1) return true;
+    if (this.samplingRate <= 0) return false;
+
+    const key = sessionId ?? 'unknown';
+    if (!this._sessions.has(key)) {
+      this._sessions.set(key, hashToUnitInterval(key) < this.samplingRate);
+    }
+    return this._sessions.get(key);
+  }
+
+  /**
+   * Count this event and return the metric's observed rate.
+   * Uses the larger of this and last window, so the rate doesn't
+   * collapse to ~0 every time a new window starts.
+   */
+  _observe(name) {
+    const now = Date.now();
+    if (now - this._windowStart >= WINDOW_MS) {
+      this._previousCounts = this._counts;
+      this._counts = new Map();
+      this._windowStart = now;
+    }
+
+    const count = (this._counts.get(name) ?? 0) + 1;
+    this._counts.set(name, count);
+
+    return Math.max(count, this._previousCounts.get(name) ?? 0);
+  }
+}
+
+/**
+ * FNV-1a string hash mapped to [0, 1)
+ */
+function hashToUnitInterval(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
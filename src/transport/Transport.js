@@ -0,0 +1,338 @@
+import { generateId } from '../utils/id.js';
+import { SCHEMA_VERSION, validateBatch } from '../core/Schema.js';
+import { SDK_NAME, SDK_VERSION } from '../core/Config.js';
+import { createStorage } from '../utils/Storage.js';
+import { OfflineQueue } from './OfflineQueue.js';
+import { Sampler } from './Sampler.js';
+import { Aggregator } from './Aggregator.js';
+import { BeaconSender } from './senders/BeaconSender.js';
+import { FetchSender } from './senders/FetchSender.js';
+import { ConsoleSender } from './senders/ConsoleSender.js';
+import { LocalStorageSender } from './senders/LocalStorageSender.js';
+import { CustomSender } from './senders/CustomSender.js';
+import { OtlpSender } from './senders/OtlpSender.js';
+
+const RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * Buffers metrics and (deduplicated) anomalies from the EventBus and ships them in batches.
+ * Every event passes through the Sampler first and is buffered with its
+ * `sampleWeight`, or dropped. With transport.aggregation enabled, the
+ * configured high-volume metrics are then folded into per-flush
+ * 'metric:summary' events by the Aggregator instead of being buffered raw.
+ *
+ * Flush triggers:
+ *  - buffer reaches transport.batchSize
+ *  - every transport.flushIntervalMs
+ *  - page hidden / unloading (visibilitychange, pagehide)
+ *  - explicit flush()
+ *
+ * Batches that still fail after all retries (or are produced while the
+ * browser is offline) go to the OfflineQueue and are replayed on
+ * 'online' or on the next page load.
+ *
+ * Batches use the versioned envelope documented in core/Schema.js.
+ * In debug mode every batch is validated before sending (config.validation).
+ */
+export class Transport {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} eventBus
+   * @param {Object} config - merged SDK config
+   * @param {import('../anamolies/IncidentManager.js').IncidentManager|null} [incidents] - for smart sampling
+   */
+  constructor(eventBus, config, incidents = null) {
+    this.eventBus = eventBus;
+    this.config = config;
+    this.isRunning = false;
+
+    this.sampler = new Sampler(config, incidents);
+    this.aggregator = config.transport.aggregation.enabled ? new Aggregator(config.transport.aggregation) : null;
+    this.sender = this._createSender(config.transport);
+    this.offlineQueue = this._createOfflineQueue(config.transport.offlineQueue);
+
+    /** @type {Array<Object>} */
+    this._buffer = [];
+    this._maxBuffer = config.transport.batchSize * 10;
+    this._flushInterval = null;
+    this._subscriptions = [];
+
+    this._onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') this._flushInBackground({ unloading: true });
+    };
+    this._onPageHide = () => this._flushInBackground({ unloading: true });
+    this._onOnline = () => this.replayOffline();
+  }
+
+  start() {
+    if (this.isRunning || !this.sender) return;
+    this.isRunning = true;
+
+    this._subscriptions.push(
+      this.eventBus.on('metric:collected', (event) => this._enqueue(event)),
+      this.eventBus.on('anomaly:reported', (event) => this._enqueue(event)),
+      this.eventBus.on('anomaly:resolved', (event) => this._enqueue(event))
+    );
+
+    this._flushInterval = setInterval(() => this._flushInBackground(), this.config.transport.flushIntervalMs);
+
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    window.addEventListener('pagehide', this._onPageHide);
+
+    if (this.offlineQueue) {
+      window.addEventListener('online', this._onOnline);
+      // Leftovers from a previous page load
+      this.replayOffline();
+    }
+  }
+
+  /**
+   * @returns {Promise<void>} resolves once the buffered events are sent
+   */
+  stop() {
+    if (!this.isRunning) return Promise.resolve();
+
+    this._subscriptions.forEach((unsub) => unsub());
+    this._subscriptions = [];
+    if (this._flushInterval) clearInterval(this._flushInterval);
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    window.removeEventListener('pagehide', this._onPageHide);
+    window.removeEventListener('online', this._onOnline);
+
+    this.isRunning = false;
+
+    // Don't lose what's already buffered
+    return this._flushInBackground();
+  }
+
+  /**
+   * Send everything currently buffered.
+   * @param {{unloading?: boolean}} [options] - unloading: page is going away, send once without retries
+   * @returns {Promise<void>}
+   */
+  async flush(options = {}) {
+    if (!this.sender) return;
+    if (this._buffer.length === 0 && !this.aggregator?.hasData()) return;
+
+    const events = this._buffer.concat(this.aggregator?.drain() ?? []);
+    this._buffer = [];
+
+    let batch = this._buildBatch(events);
+
+    if (typeof this.config.beforeSend === 'function') {
+      try {
+        batch = this.config.beforeSend(batch);
+      } catch (e) {
+        this._reportError('beforeSend hook threw', e, events.length);
+        return;
+      }
+      // Returning a falsy value drops the batch on purpose
+      if (!batch) return;
+      if (!Array.isArray(batch.events)) {
+        this._reportError('beforeSend hook returned no events array, batch dropped',
+          new TypeError('expected the batch or a falsy value'), events.length);
+        return;
+      }
+      if (batch.events.length === 0) return;
+    }
+
+    if (this.config.debug && this.config.validation !== 'off') {
+      batch = this._validate(batch);
+      if (batch.events.length === 0) return;
+    }
+
+    if (this.offlineQueue && typeof navigator !== 'undefined' && navigator.onLine === false) {
+      await this._queueOffline(batch);
+      return;
+    }
+
+    try {
+      const attempts = await this._sendWithRetry(batch, options);
+      this._emitFlushed(batch, attempts);
+    } catch (e) {
+      if (this.offlineQueue && e.retryable !== false) {
+        await this._queueOffline(batch);
+      } else {
+        this._reportError('batch dropped after retries', e, batch.events.length, batch.id);
+      }
+    }
+  }
+
+  /**
+   * Re-send batches persisted while offline
+   * @returns {Promise<number>} number of batches delivered
+   */
+  async replayOffline() {
+    if (!this.offlineQueue || !this.sender) return 0;
+
+    try {
+      return await this.offlineQueue.replay(
+        async (batch) => {
+          await this.sender.send(batch);
+          this._emitFlushed(batch, 1, true);
+        },
+        (batch, e) => this._reportError('queued batch rejected, dropped', e, batch.events?.length ?? 0, batch.id)
+      );
+    } catch (e) {
+      this._reportError('offline replay failed', e, 0);
+      return 0;
+    }
+  }
+
+  async _queueOffline(batch) {
+    try {
+      await this.offlineQueue.enqueue(batch);
+    } catch (e) {
+      // Quota exceeded or storage revoked — nothing left to try
+      this._reportError('batch dropped, offline queue unavailable', e, batch.events.length, batch.id);
+    }
+  }
+
+  _emitFlushed(batch, attempts, replayed = false) {
+    this.eventBus.emit('transport:flushed', 'Transport', {
+      batchId: batch.id,
+      size: batch.events.length,
+      type: this.sender.name,
+      attempts,
+      replayed,
+    });
+  }
+
+  _enqueue(event) {
+    const sampleWeight = this.sampler.sample(event);
+    if (sampleWeight === 0) return;
+
+    if (this.aggregator?.add(event, sampleWeight)) return;
+
+    // Copy: the same event object is delivered to every other listener
+    this._buffer.push({ ...event, sampleWeight });
+
+    // Endpoint down and flushes failing — cap memory, drop oldest
+    if (this._buffer.length > this._maxBuffer) {
+      this._buffer.shift();
+    }
+
+    if (this._buffer.length >= this.config.transport.batchSize) {
+      this._flushInBackground();
+    }
+  }
+
+  /**
+   * flush() for callers that can't await it (event listeners, timers):
+   * a failure is reported on 'error:internal' instead of becoming an
+   * unhandled rejection.
+   * @returns {Promise<void>}
+   */
+  _flushInBackground(options) {
+    return this.flush(options).catch((e) => this._reportError('flush failed', e, 0));
+  }
+
+  _buildBatch(events) {
+    const latest = events[events.length - 1];
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      id: generateId(),
+      sdk: { name: SDK_NAME, version: SDK_VERSION },
+      app: {
+        name: this.config.appName,
+        version: this.config.version,
+        environment: this.config.environment,
+      },
+      session: { id: events[0]?.sessionId ?? null },
+      page: { url: latest?.pageUrl ?? null },
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      sentAt: Date.now(),
+      // Session lives on the envelope, no need to repeat it per event
+      events: events.map(({ sessionId, ...event }) => event),
+    };
+  }
+
+  /**
+   * Debug-mode schema check. 'repair' fixes what it safely can and drops
+   * the rest; 'reject' drops every event with any error.
+   */
+  _validate(batch) {
+    const { batch: validated, errors, rejected } = validateBatch(batch, {
+      repair: this.config.validation !== 'reject',
+    });
+
+    if (errors.length > 0) {
+      console.warn(`[PerfSDK] Batch ${batch.id}: ${errors.length} schema error(s), ${rejected} event(s) dropped`, errors);
+    }
+    return validated;
+  }
+
+  /**
+   * Exponential backoff: 1s, 2s, 4s, ... up to transport.retryAttempts retries.
+   * @returns {Promise<number>} number of attempts it took
+   */
+  async _sendWithRetry(batch, options) {
+    // An unloading page won't live long enough to wait for a retry
+    const maxAttempts = options.unloading ? 1 : 1 + this.config.transport.retryAttempts;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.sender.send(batch, options);
+        return attempt;
+      } catch (e) {
+        if (attempt >= maxAttempts || e.retryable === false) throw e;
+
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  _reportError(message, error, eventCount, batchId = null) {
+    this.eventBus.emit('error:internal', 'Transport', {
+      message: `${message}: ${error.message}`,
+      batchId,
+      eventCount,
+    });
+  }
+
+  _createOfflineQueue(queueConfig) {
+    // Queuing locally for a sender that already writes locally is pointless
+    if (!queueConfig?.enabled || !this.sender || this.sender.name === 'localStorage') return null;
+
+    const storage = createStorage(queueConfig.storage);
+    if (!storage) return null;
+
+    return new OfflineQueue(storage, queueConfig);
+  }
+
+  _createSender(transportConfig) {
+    const { type, endpoint } = transportConfig;
+
+    switch (type) {
+      case 'beacon':
+      case 'fetch':
+      case 'otlp':
+        if (!endpoint) {
+          if (this.config.debug) {
+            console.warn(`[PerfSDK] transport.type "${type}" needs transport.endpoint, nothing will be sent`);
+          }
+          return null;
+        }
+        if (type === 'otlp') return new OtlpSender(this.config);
+        return type === 'beacon' ? new BeaconSender(transportConfig) : new FetchSender(transportConfig);
+      case 'console':
+        return new ConsoleSender();
+      case 'localStorage':
+        return new LocalStorageSender(transportConfig);
+      case 'custom':
+        if (typeof transportConfig.send !== 'function') {
+          if (this.config.debug) {
+            console.warn('[PerfSDK] transport.type "custom" needs a transport.send(batch) function');
+          }
+          return null;
+        }
+        return new CustomSender(transportConfig);
+      default:
+        if (this.config.debug) {
+          console.warn(`[PerfSDK] Unknown transport.type "${type}", nothing will be sent`);
+        }
+        return null;
+    }
+  }
+}
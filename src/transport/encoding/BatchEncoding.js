@@ -0,0 +1,117 @@
+import { COMPACT_FORMAT, encodeCompact, decodeCompact } from './CompactCodec.js';
+
+/**
+ * Batch envelope → request body bytes, and back.
+ *
+ *   encoding 'json'    → JSON.stringify(batch)
+ *   encoding 'compact' → JSON of the compact form (see CompactCodec.js)
+ *   compress: true     → gzip via CompressionStream, where the browser has it
+ *
+ * sendBeacon() can't set a Content-Encoding header, so decodeBatch()
+ * doesn't rely on one: it sniffs the gzip magic bytes and the compact
+ * format marker. Ingestion can pass it any body this SDK sends.
+ */
+export const CONTENT_TYPES = {
+  json: 'application/json',
+  compact: 'application/vnd.perfsdk.compact+json',
+};
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/**
+ * @typedef {Object} EncodedBatch
+ * @property {Uint8Array} body
+ * @property {string} contentType
+ * @property {string|null} contentEncoding - 'gzip' or null
+ * @property {number} size - body length in bytes
+ * @property {number} eventCount
+ */
+
+/**
+ * @param {Object} batch
+ * @param {{encoding?: 'json'|'compact', compress?: boolean}} [options]
+ * @returns {Promise<EncodedBatch>}
+ */
+export async function encodeBatch(batch, options = {}) {
+  const encoding = options.encoding === 'compact' ? 'compact' : 'json';
+  const text = JSON.stringify(encoding === 'compact' ? encodeCompact(batch) : batch);
+
+  let body = new TextEncoder().encode(text);
+  let contentEncoding = null;
+
+  if (options.compress && isCompressionSupported()) {
+    body = await pipeThrough(body, new CompressionStream('gzip'));
+    contentEncoding = 'gzip';
+  }
+
+  return {
+    body,
+    contentType: CONTENT_TYPES[encoding],
+    contentEncoding,
+    size: body.byteLength,
+    eventCount: batch.events.length,
+  };
+}
+
+/**
+ * Encode a batch, halving it until every part fits in maxBytes.
+ *
+ * Parts keep the envelope and get derived ids (`<id>.0`, `<id>.1`,
+ * `<id>.0.1`, ...), so a retried batch splits into the same ids and the
+ * server can dedupe parts that already arrived. A single event that
+ * alone exceeds maxBytes is returned as its own oversized part.
+ *
+ * @param {Object} batch
+ * @param {number} maxBytes
+ * @param {{encoding?: 'json'|'compact', compress?: boolean}} [options]
+ * @returns {Promise<Array<EncodedBatch & {id: string}>>}
+ */
+export async function encodeBatchParts(batch, maxBytes, options = {}) {
+  const encoded = await encodeBatch(batch, options);
+  if (encoded.size <= maxBytes || batch.events.length <= 1) {
+    return [{ ...encoded, id: batch.id }];
+  }
+
+  const middle = Math.ceil(batch.events.length / 2);
+  const halves = [batch.events.slice(0, middle), batch.events.slice(middle)];
+
+  const parts = [];
+  for (const [i, events] of halves.entries()) {
+    parts.push(...(await encodeBatchParts({ ...batch, id: `${batch.id}.${i}`, events }, maxBytes, options)));
+  }
+  return parts;
+}
+
+/**
+ * Inverse of encodeBatch() for any encoding / compression combination.
+ * @param {ArrayBuffer|ArrayBufferView|string} body
+ * @returns {Promise<Object>} batch envelope
+ */
+export async function decodeBatch(body) {
+  let bytes = typeof body === 'string' ? new TextEncoder().encode(body) : toUint8Array(body);
+
+  if (bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1]) {
+    if (typeof DecompressionStream !== 'function') {
+      throw new Error('gzip-compressed batch, but DecompressionStream is not available');
+    }
+    bytes = await pipeThrough(bytes, new DecompressionStream('gzip'));
+  }
+
+  const parsed = JSON.parse(new TextDecoder().decode(bytes));
+  return parsed?.f === COMPACT_FORMAT && Array.isArray(parsed.s) ? decodeCompact(parsed) : parsed;
+}
+
+export function isCompressionSupported() {
+  return typeof CompressionStream === 'function';
+}
+
+async function pipeThrough(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toUint8Array(body) {
+  if (body instanceof Uint8Array) return body;
+  if (ArrayBuffer.isView(body)) return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+  return new Uint8Array(body);
+}
@@ -0,0 +1,252 @@
+/**
+ * Compact form of a batch envelope: same data, much less repetition.
+ *
+ * A batch repeats the same metric names, tag keys, sources and URLs in
+ * every event. The compact form stores each distinct string once in a
+ * string table and refers to it by index, turns events into positional
+ * arrays, and delta-encodes timestamps against the previous event.
+ *
+ * {
+ *   f: 1,                      // compact format version
+ *   s: [string, ...],          // string table
+ *   b: { ...envelope },        // everything but `events`, as-is
+ *   e: [[type, source, dTimestamp, dWallTime, pageUrl, sampleWeight, payload, rest?], ...]
+ * }
+ *
+ * Payloads, by event type:
+ *   metric:collected → [name, unit, tags, value, dTimestamp, rest]
+ *   metric:summary   → [name, unit, tags, rest]
+ *   anomaly:reported → [type, severity, metric, rest]   (metric as above)
+ *   anything else    → the payload object as-is
+ *
+ * Tags are a flat [key, value, key, value, ...] list: keys are string
+ * indexes, string values are string indexes, any other value is wrapped
+ * in a one-element array ([500], [true]). `rest` holds the fields not
+ * covered by the positional slots (0 when empty), so nothing is lost.
+ *
+ * performance.now() timestamps are rounded to 10µs so the deltas are
+ * integers and add back up exactly; everything else round-trips as-is.
+ */
+export const COMPACT_FORMAT = 1;
+
+const TIMESTAMP_SCALE = 100; // 1/100 ms
+const NO_STRING = -1;
+
+const EVENT_KEYS = ['type', 'source', 'timestamp', 'wallTime', 'pageUrl', 'sampleWeight', 'payload'];
+const METRIC_KEYS = ['name', 'unit', 'tags', 'value', 'timestamp'];
+const SUMMARY_KEYS = ['name', 'unit', 'tags'];
+const ANOMALY_KEYS = ['type', 'severity', 'metric'];
+
+/**
+ * @param {Object} batch - versioned batch envelope (core/Schema.js)
+ * @returns {Object} compact batch
+ */
+export function encodeCompact(batch) {
+  const { events, ...envelope } = batch;
+  const table = new StringTable();
+
+  let prevTimestamp = 0;
+  let prevWallTime = 0;
+
+  const encoded = events.map((event) => {
+    const timestamp = quantize(event.timestamp);
+    const dTimestamp = timestamp === null ? null : timestamp - prevTimestamp;
+    if (timestamp !== null) prevTimestamp = timestamp;
+
+    const wallTime = Number.isFinite(event.wallTime) ? event.wallTime : null;
+    const dWallTime = wallTime === null ? null : wallTime - prevWallTime;
+    if (wallTime !== null) prevWallTime = wallTime;
+
+    const row = [
+      table.add(event.type),
+      table.add(event.source),
+      dTimestamp,
+      dWallTime,
+      table.add(event.pageUrl),
+      event.sampleWeight ?? 1,
+      encodePayload(event.type, event.payload, timestamp, table),
+    ];
+
+    const rest = restOf(event, EVENT_KEYS, { timestamp: timestamp === null, wallTime: wallTime === null });
+    if (rest) row.push(rest);
+    return row;
+  });
+
+  return { f: COMPACT_FORMAT, s: table.strings, b: envelope, e: encoded };
+}
+
+/**
+ * @param {Object} compact - output of encodeCompact()
+ * @returns {Object} batch envelope
+ */
+export function decodeCompact(compact) {
+  if (compact?.f !== COMPACT_FORMAT) {
+    throw new Error(`Unsupported compact format ${compact?.f}`);
+  }
+
+  const strings = compact.s;
+  const str = (index) => (index === NO_STRING ? null : strings[index]);
+
+  let prevTimestamp = 0;
+  let prevWallTime = 0;
+
+  const events = compact.e.map(([type, source, dTimestamp, dWallTime, pageUrl, sampleWeight, payload, rest]) => {
+    const event = { type: str(type), source: str(source) };
+
+    let timestamp = null;
+    if (dTimestamp !== null) {
+      timestamp = prevTimestamp + dTimestamp;
+      prevTimestamp = timestamp;
+      event.timestamp = timestamp / TIMESTAMP_SCALE;
+    }
+    if (dWallTime !== null) {
+      prevWallTime += dWallTime;
+      event.wallTime = prevWallTime;
+    }
+
+    event.pageUrl = str(pageUrl);
+    event.sampleWeight = sampleWeight;
+    event.payload = decodePayload(event.type, payload, timestamp, str);
+    return rest ? { ...event, ...rest } : event;
+  });
+
+  return { ...compact.b, events };
+}
+
+function encodePayload(type, payload, eventTimestamp, table) {
+  switch (type) {
+    case 'metric:collected':
+      return encodeMetric(payload, eventTimestamp, table);
+    case 'metric:summary':
+      return [
+        table.add(payload.name),
+        table.add(payload.unit),
+        encodeTags(payload.tags, table),
+        restOf(payload, SUMMARY_KEYS) ?? 0,
+      ];
+    case 'anomaly:reported':
+      return [
+        table.add(payload.type),
+        table.add(payload.severity),
+        encodeMetric(payload.metric, eventTimestamp, table),
+        restOf(payload, ANOMALY_KEYS) ?? 0,
+      ];
+    default:
+      return payload;
+  }
+}
+
+function decodePayload(type, payload, eventTimestamp, str) {
+  switch (type) {
+    case 'metric:collected':
+      return decodeMetric(payload, eventTimestamp, str);
+    case 'metric:summary': {
+      const [name, unit, tags, rest] = payload;
+      return { name: str(name), unit: str(unit), tags: decodeTags(tags, str), ...(rest || {}) };
+    }
+    case 'anomaly:reported': {
+      const [anomalyType, severity, metric, rest] = payload;
+      return {
+        type: str(anomalyType),
+        severity: str(severity),
+        metric: decodeMetric(metric, eventTimestamp, str),
+        ...(rest || {}),
+      };
+    }
+    default:
+      return payload;
+  }
+}
+
+/**
+ * The metric's own timestamp is stored relative to its event's; it is
+ * usually identical, so the delta is almost always 0.
+ */
+function encodeMetric(metric, eventTimestamp, table) {
+  if (!metric || typeof metric !== 'object') return metric ?? null;
+
+  const timestamp = quantize(metric.timestamp);
+  const dTimestamp = timestamp === null || eventTimestamp === null ? null : timestamp - eventTimestamp;
+
+  return [
+    table.add(metric.name),
+    table.add(metric.unit),
+    encodeTags(metric.tags, table),
+    metric.value,
+    dTimestamp,
+    restOf(metric, METRIC_KEYS, { timestamp: dTimestamp === null }) ?? 0,
+  ];
+}
+
+function decodeMetric(encoded, eventTimestamp, str) {
+  if (!Array.isArray(encoded)) return encoded;
+
+  const [name, unit, tags, value, dTimestamp, rest] = encoded;
+  const metric = { name: str(name), value, unit: str(unit), tags: decodeTags(tags, str) };
+  if (dTimestamp !== null) metric.timestamp = (eventTimestamp + dTimestamp) / TIMESTAMP_SCALE;
+  return rest ? { ...metric, ...rest } : metric;
+}
+
+function encodeTags(tags, table) {
+  if (!tags || typeof tags !== 'object') return null;
+
+  const flat = [];
+  for (const [key, value] of Object.entries(tags)) {
+    flat.push(table.add(key), typeof value === 'string' ? table.add(value) : [value]);
+  }
+  return flat;
+}
+
+function decodeTags(flat, str) {
+  if (!Array.isArray(flat)) return flat;
+
+  const tags = {};
+  for (let i = 0; i < flat.length; i += 2) {
+    const value = flat[i + 1];
+    tags[str(flat[i])] = Array.isArray(value) ? value[0] : str(value);
+  }
+  return tags;
+}
+
+/**
+ * Fields not covered by the positional slots. `keep` names positional
+ * fields whose value couldn't be encoded there and must travel as-is.
+ * @returns {Object|null}
+ */
+function restOf(obj, keys, keep = {}) {
+  let rest = null;
+  for (const [key, value] of Object.entries(obj)) {
+    if (keys.includes(key) && !keep[key]) continue;
+    if (value === undefined) continue;
+    (rest ??= {})[key] = value;
+  }
+  return rest;
+}
+
+function quantize(ms) {
+  return Number.isFinite(ms) ? Math.round(ms * TIMESTAMP_SCALE) : null;
+}
+
+class StringTable {
+  constructor() {
+    this.strings = [];
+    this._index = new Map();
+  }
+
+  /**
+   * @param {string|null|undefined} value
+   * @returns {number} index, or -1 for null / undefined
+   */
+  add(value) {
+    if (value === null || value === undefined) return NO_STRING;
+
+    const str = String(value);
+    let index = this._index.get(str);
+    if (index === undefined) {
+      index = this.strings.length;
+      this.strings.push(str);
+      this._index.set(str, index);
+    }
+    return index;
+  }
+}
@@ -0,0 +1,80 @@
+import { encodeBatchParts } from '../encoding/BatchEncoding.js';
+
+/**
+ * navigator.sendBeacon() sender — the default.
+ *
+ * Beacons are queued by the browser and survive page unload, which makes
+ * them the most reliable way to get the last batch out. The trade-off is
+ * that we never see the server's response: `true` only means "queued".
+ *
+ * The browser caps queued beacon data at ~64KB, so batches are encoded
+ * (transport.encoding / transport.compress) and split into parts of at
+ * most transport.maxPayloadBytes. Compression is skipped while the page
+ * is unloading: it is async and may not finish before the page is gone.
+ *
+ * Falls back to fetch({ keepalive: true }) where sendBeacon is missing.
+ */
+export class BeaconSender {
+  /**
+   * @param {Object} transportConfig - config.transport
+   */
+  constructor(transportConfig) {
+    this.name = 'beacon';
+    this.endpoint = transportConfig.endpoint;
+    this.encoding = transportConfig.encoding ?? 'json';
+    this.compress = Boolean(transportConfig.compress);
+    this.maxPayloadBytes = transportConfig.maxPayloadBytes ?? 60000;
+  }
+
+  /**
+   * @param {Object} batch
+   * @param {{unloading?: boolean}} [options]
+   */
+  async send(batch, options = {}) {
+    const parts = await encodeBatchParts(batch, this.maxPayloadBytes, {
+      encoding: this.encoding,
+      compress: this.compress && !options.unloading,
+    });
+
+    let oversized = 0;
+    for (const part of parts) {
+      // Would be refused on every retry; send the rest and report it
+      if (part.size > this.maxPayloadBytes) {
+        oversized += part.eventCount;
+        continue;
+      }
+      await this._sendPart(part);
+    }
+
+    if (oversized > 0) {
+      const error = new Error(`${oversized} event(s) exceed the ${this.maxPayloadBytes} byte beacon limit on their own`);
+      error.retryable = false;
+      throw error;
+    }
+  }
+
+  async _sendPart(part) {
+    if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+      const blob = new Blob([part.body], { type: part.contentType });
+      // false = the browser refused to queue it (payload too large, quota hit)
+      if (!navigator.sendBeacon(this.endpoint, blob)) {
+        throw new Error(`sendBeacon rejected batch ${part.id}`);
+      }
+      return;
+    }
+
+    const headers = { 'Content-Type': part.contentType };
+    if (part.contentEncoding) headers['Content-Encoding'] = part.contentEncoding;
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers,
+      body: part.body,
+      keepalive: true,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Beacon fallback failed: HTTP ${response.status}`);
+    }
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * Logs batches to the console. Meant for local development only.
+ */
+export class ConsoleSender {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(batch) {
+    console.groupCollapsed(`[PerfSDK] batch ${batch.id} — ${batch.events.length} events`);
+    for (const event of batch.events) {
+      console.log(event.type, event.payload);
+    }
+    console.groupEnd();
+  }
+}
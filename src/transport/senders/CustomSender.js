@@ -0,0 +1,18 @@
+/**
+ * Hands batches to a user function: config.transport.send(batch, options).
+ * The function may be sync or return a promise; throwing (or rejecting)
+ * counts as a failed attempt and is retried like any other sender.
+ */
+export class CustomSender {
+  /**
+   * @param {Object} transportConfig - config.transport
+   */
+  constructor(transportConfig) {
+    this.name = 'custom';
+    this._send = transportConfig.send;
+  }
+
+  async send(batch, options = {}) {
+    await this._send(batch, options);
+  }
+}
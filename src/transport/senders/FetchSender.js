@@ -0,0 +1,35 @@
+/**
+ * fetch() sender. Unlike the beacon, it sees the HTTP status, so the
+ * Transport can tell retryable failures (5xx, 429, network) from
+ * permanent ones (other 4xx) and stop hammering a misconfigured endpoint.
+ */
+export class FetchSender {
+  /**
+   * @param {Object} transportConfig - config.transport
+   */
+  constructor(transportConfig) {
+    this.name = 'fetch';
+    this.endpoint = transportConfig.endpoint;
+    this.headers = transportConfig.headers ?? {};
+  }
+
+  /**
+   * @param {Object} batch
+   * @param {{unloading?: boolean}} [options]
+   */
+  async send(batch, options = {}) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(batch),
+      // keepalive lets the request outlive the page, like a beacon
+      keepalive: Boolean(options.unloading),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,46 @@
+const STORAGE_KEY = 'perfsdk:batches';
+
+/**
+ * Appends batches to localStorage instead of sending them anywhere.
+ * Useful for inspecting a session after the fact (QA, support tickets).
+ *
+ * Bounded to `maxStoredBatches`, oldest dropped first — localStorage
+ * is ~5MB per origin and shared with the host app.
+ */
+export class LocalStorageSender {
+  /**
+   * @param {Object} transportConfig - config.transport
+   */
+  constructor(transportConfig) {
+    this.name = 'localStorage';
+    this.maxStoredBatches = transportConfig.maxStoredBatches ?? 50;
+  }
+
+  async send(batch) {
+    const stored = LocalStorageSender.read();
+    stored.push(batch);
+
+    while (stored.length > this.maxStoredBatches) {
+      stored.shift();
+    }
+
+    // Throws on QuotaExceededError, which the Transport reports
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  }
+
+  /**
+   * All batches written so far
+   * @returns {Array<Object>}
+   */
+  static read() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+    } catch {
+      return []; /* corrupted data, start fresh */
+    }
+  }
+
+  static clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
@@ -0,0 +1,20 @@
+import { OtlpExporter } from '../../exporters/OtlpExporter.js';
+
+/**
+ * Ships batches to an OpenTelemetry collector over OTLP/HTTP JSON.
+ * transport.endpoint is the collector base URL (e.g. https://otel.example.com:4318);
+ * signal paths (/v1/metrics, /v1/logs, /v1/traces) are appended.
+ */
+export class OtlpSender {
+  /**
+   * @param {Object} config - merged SDK config
+   */
+  constructor(config) {
+    this.name = 'otlp';
+    this.exporter = new OtlpExporter(config);
+  }
+
+  async send(batch, options = {}) {
+    await this.exporter.export(batch, options);
+  }
+}
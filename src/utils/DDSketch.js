@@ -0,0 +1,98 @@
+/**
+ * Mergeable quantile sketch (DDSketch, Masson et al. 2019).
+ *
+ * Values are counted in logarithmic buckets: bucket i holds values in
+ * (γ^(i-1), γ^i] with γ = (1+α)/(1-α). Any quantile read back is within
+ * a relative error α of the true value, whatever the distribution.
+ *
+ * Why not a fixed histogram?
+ *  - No bucket boundaries to tune per metric (1ms lag vs 30s API calls)
+ *  - Two sketches merge by adding bucket counts, so the backend can
+ *    combine sketches from many sessions into exact-error percentiles.
+ *
+ * Only non-negative values are supported (durations, sizes, counts).
+ */
+export class DDSketch {
+  /**
+   * @param {number} [relativeAccuracy=0.01]
+   */
+  constructor(relativeAccuracy = 0.01) {
+    this.relativeAccuracy = relativeAccuracy;
+    this._gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    this._logGamma = Math.log(this._gamma);
+
+    /** @type {Map<number, number>} bucket index → count */
+    this.bins = new Map();
+    this.zeroCount = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} [weight=1] - e.g. a sample weight
+   */
+  add(value, weight = 1) {
+    if (value <= 0) {
+      this.zeroCount += weight;
+    } else {
+      const index = Math.ceil(Math.log(value) / this._logGamma);
+      this.bins.set(index, (this.bins.get(index) ?? 0) + weight);
+    }
+    this.count += weight;
+  }
+
+  /**
+   * @param {number} q - 0-1
+   * @returns {number} NaN if empty
+   */
+  quantile(q) {
+    if (this.count === 0) return NaN;
+
+    const rank = q * (this.count - 1);
+    let seen = this.zeroCount;
+    if (rank < seen) return 0;
+
+    const indexes = [...this.bins.keys()].sort((a, b) => a - b);
+    for (const index of indexes) {
+      seen += this.bins.get(index);
+      if (seen > rank) {
+        // Midpoint (in relative terms) of the bucket's range
+        return (2 * Math.pow(this._gamma, index)) / (1 + this._gamma);
+      }
+    }
+    return (2 * Math.pow(this._gamma, indexes[indexes.length - 1])) / (1 + this._gamma);
+  }
+
+  /**
+   * @param {DDSketch} other - must use the same relative accuracy
+   */
+  merge(other) {
+    if (other.relativeAccuracy !== this.relativeAccuracy) {
+      throw new Error('DDSketch: cannot merge sketches with different relative accuracy');
+    }
+    for (const [index, count] of other.bins) {
+      this.bins.set(index, (this.bins.get(index) ?? 0) + count);
+    }
+    this.zeroCount += other.zeroCount;
+    this.count += other.count;
+  }
+
+  toJSON() {
+    return {
+      relativeAccuracy: this.relativeAccuracy,
+      zeroCount: this.zeroCount,
+      count: this.count,
+      bins: Object.fromEntries(this.bins),
+    };
+  }
+
+  static fromJSON(json) {
+    const sketch = new DDSketch(json.relativeAccuracy);
+    sketch.zeroCount = json.zeroCount;
+    sketch.count = json.count;
+    for (const [index, count] of Object.entries(json.bins)) {
+      sketch.bins.set(Number(index), count);
+    }
+    return sketch;
+  }
+}
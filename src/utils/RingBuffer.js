@@ -29,6 +29,12 @@ export class RingBuffer {
     return result;
   }
 
+  clear() {
+    this.buffer = new Array(this.capacity);
+    this.head = 0;
+    this.count = 0;
+  }
+
   get length() {
     return this.count;
   }
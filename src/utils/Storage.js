@@ -0,0 +1,101 @@
+/**
+ * Minimal async key-value storage over localStorage or IndexedDB.
+ * Values are anything JSON-serializable.
+ *
+ * Both backends expose the same promise-based API so callers don't
+ * care which one they got:
+ *   await storage.get(key)  → value | null
+ *   await storage.set(key, value)
+ *   await storage.remove(key)
+ *
+ * localStorage: synchronous under the hood, so writes made during
+ *   `pagehide` actually land. ~5MB shared with the host app.
+ * IndexedDB: much larger quota, but a write started during unload
+ *   may never commit.
+ */
+class LocalStorageBackend {
+  constructor() {
+    this.type = 'localStorage';
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch {
+      return null; /* corrupted data, start fresh */
+    }
+  }
+
+  async set(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    localStorage.removeItem(key);
+  }
+}
+
+const IDB_NAME = 'perfsdk';
+const IDB_STORE = 'kv';
+
+class IndexedDBBackend {
+  constructor() {
+    this.type = 'indexedDB';
+    this._db = null;
+  }
+
+  async get(key) {
+    const result = await this._request('readonly', (store) => store.get(key));
+    return result ?? null;
+  }
+
+  async set(key, value) {
+    await this._request('readwrite', (store) => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this._request('readwrite', (store) => store.delete(key));
+  }
+
+  async _request(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(IDB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+}
+
+/**
+ * @param {'localStorage'|'indexedDB'} type
+ * @returns {LocalStorageBackend|IndexedDBBackend|null} null when the backend is unavailable
+ *   (private mode, sandboxed iframe, non-browser runtime)
+ */
+export function createStorage(type = 'localStorage') {
+  try {
+    if (type === 'indexedDB' && typeof indexedDB !== 'undefined') {
+      return new IndexedDBBackend();
+    }
+    if (type === 'localStorage' && typeof localStorage !== 'undefined') {
+      // Accessing localStorage can throw (Safari private mode, blocked cookies)
+      localStorage.getItem('perfsdk:probe');
+      return new LocalStorageBackend();
+    }
+  } catch {
+    /* storage blocked */
+  }
+  return null;
+}
@@ -0,0 +1,49 @@
+/**
+ * Name of the UI component that rendered an element, for attributing
+ * metrics to code rather than to markup.
+ *
+ * Checked on the element, then its ancestors:
+ *  - data-component="..."            explicit, wins over everything
+ *  - React fiber (__reactFiber$*)    nearest function / class component
+ *  - Vue 3 / Vue 2 instance          component name
+ *  - custom element tag              Lyte and web components: the tag is the component
+ */
+
+const MAX_ANCESTORS = 10;
+
+/**
+ * @param {Element} element
+ * @returns {string|null}
+ */
+export function getComponentName(element) {
+  let el = element;
+  for (let i = 0; el && el.nodeType === 1 && i < MAX_ANCESTORS; i++, el = el.parentElement) {
+    const name = ownComponentName(el);
+    if (name) return name;
+  }
+  return null;
+}
+
+function ownComponentName(el) {
+  const explicit = el.getAttribute('data-component');
+  if (explicit) return explicit;
+
+  const fiberKey = Object.keys(el).find(
+    (key) => key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$')
+  );
+  if (fiberKey) {
+    for (let fiber = el[fiberKey]; fiber; fiber = fiber.return) {
+      if (typeof fiber.type === 'function') return fiber.type.displayName || fiber.type.name || null;
+    }
+  }
+
+  const vue = el.__vueParentComponent?.type ?? el.__vue__?.$options;
+  if (vue) {
+    const name = vue.name || vue.__name || vue._componentTag;
+    if (name) return name;
+  }
+
+  if (el.localName.includes('-')) return el.localName;
+
+  return null;
+}
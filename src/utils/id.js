@@ -0,0 +1,25 @@
+/**
+ * Random identifier for sessions, batches and incidents.
+ * Prefers crypto.randomUUID(), falls back to Math.random for old browsers
+ * and insecure (http) contexts where randomUUID is unavailable.
+ */
+export function generateId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Random lowercase hex string, e.g. for trace (16 bytes) and span (8 bytes) ids
+ * @param {number} bytes
+ */
+export function randomHex(bytes) {
+  const buffer = new Uint8Array(bytes);
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    crypto.getRandomValues(buffer);
+  } else {
+    for (let i = 0; i < bytes; i++) buffer[i] = Math.floor(Math.random() * 256);
+  }
+  return Array.from(buffer, (b) => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,86 @@
+/**
+ * Short CSS selector for an element, meant to stay the same across page
+ * loads so metrics about "the same" element group together.
+ *
+ * Walks up from the element and stops at the first anchor:
+ *   #id (unless it looks generated) → [data-testid=...] → body
+ * Other levels use the tag plus up to two stable classes, and
+ * :nth-of-type only when a same-tag sibling makes it ambiguous.
+ *
+ *   getSelector(el) → '#crm-app > main.content > ul.deal-list'
+ */
+
+const MAX_PARTS = 5;
+const MAX_CLASSES = 2;
+
+/** Attributes that exist to identify an element, in order of preference */
+const ANCHOR_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-component', 'name'];
+
+/** Ids / classes from CSS-in-JS, framework internals or counters change between builds or renders */
+const GENERATED = /\d{3,}|^(css|sc|jsx|emotion|svelte|ember)-[a-z0-9]*\d[a-z0-9]*$/i;
+
+/** State classes come and go on the same element */
+const STATE_CLASS = /^(is|has)-|active|open|hover|focus|selected|disabled|hidden|visible|loading/i;
+
+/**
+ * @param {Element} element
+ * @param {number} [maxParts=5] - ancestor levels before giving up on an anchor
+ * @returns {string} '' for non-elements
+ */
+export function getSelector(element, maxParts = MAX_PARTS) {
+  if (!element || element.nodeType !== 1) return '';
+
+  const parts = [];
+  let el = element;
+
+  while (el && el.nodeType === 1 && parts.length < maxParts) {
+    const tag = el.localName;
+
+    if (tag === 'html' || tag === 'body') {
+      parts.unshift(tag);
+      break;
+    }
+
+    if (el.id && !GENERATED.test(el.id)) {
+      parts.unshift(`#${escape(el.id)}`);
+      break;
+    }
+
+    const anchor = ANCHOR_ATTRIBUTES.find((name) => el.getAttribute(name));
+    if (anchor) {
+      parts.unshift(`${tag}[${anchor}="${el.getAttribute(anchor).replace(/"/g, '\\"')}"]`);
+      break;
+    }
+
+    parts.unshift(tag + stableClasses(el) + nthOfType(el));
+    el = el.parentElement;
+  }
+
+  return parts.join(' > ');
+}
+
+function stableClasses(el) {
+  const classes = [...(el.classList ?? [])]
+    .filter((name) => !GENERATED.test(name) && !STATE_CLASS.test(name))
+    .slice(0, MAX_CLASSES);
+  return classes.map((name) => `.${escape(name)}`).join('');
+}
+
+function nthOfType(el) {
+  const parent = el.parentElement;
+  if (!parent) return '';
+
+  let index = 0;
+  let sameTag = 0;
+  for (let sibling = parent.firstElementChild; sibling; sibling = sibling.nextElementSibling) {
+    if (sibling.localName !== el.localName) continue;
+    sameTag++;
+    if (sibling === el) index = sameTag;
+  }
+  return sameTag > 1 ? `:nth-of-type(${index})` : '';
+}
+
+function escape(value) {
+  if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') return CSS.escape(value);
+  return String(value).replace(/([^a-zA-Z0-9_-])/g, '\\$1');
+}
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { RateLimiter } = await import('../../src/core/RateLimiter.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { BaseAdapter } = await import('../../src/adapters/BaseAdapter.js');
+
+test('lifecycle events go through the rate limiter', () => {
+  const config = mergeConfig({ metricRateLimits: { lifecycle_event: 10 } });
+  const eventBus = new EventBus();
+  const adapter = new BaseAdapter(eventBus, config);
+  adapter.rateLimiter = new RateLimiter(eventBus, config);
+  adapter.start();
+
+  let lifecycleEvents = 0;
+  eventBus.on('lifecycle:event', () => lifecycleEvents++);
+  for (let i = 0; i < 50; i++) adapter.record('DealRow', 'update', 1);
+
+  assert.equal(lifecycleEvents, 10);
+  assert.equal(adapter.collect()[0].value, 50); // still counted
+});
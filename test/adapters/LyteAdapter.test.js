@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { LyteAdapter } = await import('../../src/adapters/LyteAdapter.js');
+
+/** A Lyte global whose register() just keeps the definitions it is given */
+function installLyte() {
+  const registered = {};
+  const register = function (name, definition) {
+    registered[name] = definition;
+  };
+  globalThis.Lyte = { Component: { register } };
+  return { registered, register };
+}
+
+function setup(t) {
+  const lyte = installLyte();
+  const eventBus = new EventBus();
+  const lifecycle = [];
+  eventBus.on('lifecycle:event', (event) => lifecycle.push(event.payload));
+  const adapter = new LyteAdapter(eventBus, mergeConfig({}));
+
+  let now = 0;
+  t.mock.method(performance, 'now', () => now);
+  const advance = (ms) => (now += ms);
+  t.after(() => delete globalThis.Lyte);
+  return { ...lyte, adapter, lifecycle, advance };
+}
+
+test('components registered after start() are timed from init to didConnect', (t) => {
+  const { registered, adapter, lifecycle, advance } = setup(t);
+  adapter.start();
+
+  const calls = [];
+  Lyte.Component.register('deal-list', {
+    data: () => ({}),
+    init() {
+      calls.push(['init', this.id]);
+    },
+    didConnect() {
+      calls.push(['didConnect', this.id]);
+      return 'connected';
+    },
+  });
+
+  const definition = registered['deal-list'];
+  assert.equal(typeof definition.data, 'function');
+
+  const instance = { id: 1 };
+  definition.init.call(instance);
+  advance(25);
+  assert.equal(definition.didConnect.call(instance), 'connected');
+  definition.didDestroy.call(instance);
+
+  assert.deepEqual(calls, [
+    ['init', 1],
+    ['didConnect', 1],
+  ]);
+  assert.deepEqual(
+    lifecycle.map(({ component, phase, duration }) => [component, phase, duration]),
+    [
+      ['deal-list', 'mount', 25],
+      ['deal-list', 'unmount', null],
+    ]
+  );
+  adapter.stop();
+});
+
+test('stop() restores register', (t) => {
+  const { register, registered, adapter } = setup(t);
+  adapter.start();
+  assert.notEqual(Lyte.Component.register, register);
+
+  adapter.stop();
+  assert.equal(Lyte.Component.register, register);
+
+  const definition = {};
+  Lyte.Component.register('deal-row', definition);
+  assert.equal(registered['deal-row'], definition);
+});
+
+test('stop() leaves a register wrapper installed after ours in place', (t) => {
+  const { registered, adapter } = setup(t);
+  adapter.start();
+
+  const ours = Lyte.Component.register;
+  const theirs = function (...args) {
+    return ours.apply(this, args);
+  };
+  Lyte.Component.register = theirs;
+
+  adapter.stop();
+  assert.equal(Lyte.Component.register, theirs);
+
+  // Ours is still in their chain, but no longer instruments
+  const definition = {};
+  Lyte.Component.register('deal-row', definition);
+  assert.equal(registered['deal-row'], definition);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { ReactAdapter } = await import('../../src/adapters/ReactAdapter.js');
+
+function setup() {
+  const eventBus = new EventBus();
+  const renders = [];
+  eventBus.on('metric:collected', (event) => renders.push(event.payload));
+  const adapter = new ReactAdapter(eventBus, mergeConfig({}));
+  adapter.start();
+  return { adapter, renders };
+}
+
+/** Just enough React: elements are plain objects, one component's hooks keep their refs across renders */
+function fakeReact() {
+  const refs = [];
+  let effects = [];
+  let hook = 0;
+  return {
+    Profiler: 'Profiler',
+    createElement: (type, props, ...children) => ({ type, props, children }),
+    useRef(initial) {
+      refs[hook] ??= { current: initial };
+      return refs[hook++];
+    },
+    useLayoutEffect: (effect) => effects.push(effect),
+    /** Render the component, then commit its layout effects */
+    render(component) {
+      hook = 0;
+      effects = [];
+      component();
+      effects.forEach((effect) => effect());
+    },
+  };
+}
+
+test("the Profiler reports React's own render durations", () => {
+  const { adapter, renders } = setup();
+  const React = fakeReact();
+  const PerfProfiler = adapter.createProfiler(React);
+
+  const element = PerfProfiler({ id: 'DealList', children: 'rows' });
+  assert.equal(element.type, React.Profiler);
+  assert.deepEqual(element.children, ['rows']);
+
+  element.props.onRender('DealList', 'mount', 24.5, 30, 100, 130);
+  element.props.onRender('DealList', 'nested-update', 6, 30, 200, 210);
+  element.props.onRender('DealList', 'update', 1, 30, 300, 302); // under _MIN_REPORT_MS
+
+  assert.deepEqual(
+    renders.map((m) => [m.value, m.tags.phase, m.tags.component]),
+    [
+      [24.5, 'mount', 'DealList'],
+      [6, 'update', 'DealList'],
+    ]
+  );
+  assert.deepEqual(renders[0].metadata, { startTime: 100, commitTime: 130, baseDuration: 30 });
+  assert.equal(renders[0].tags.severity, 'warning'); // over one frame
+});
+
+test('the hook times render to layout effect, mount first then updates', (t) => {
+  const { adapter, renders } = setup();
+  const React = fakeReact();
+  const useRenderTiming = adapter.createHook(React);
+  let now = 1000;
+  t.mock.method(performance, 'now', () => now);
+
+  const DealList = () => {
+    useRenderTiming('DealList');
+    now += 20; // render + commit
+  };
+
+  React.render(DealList);
+  React.render(DealList);
+
+  assert.deepEqual(
+    renders.map((m) => [m.tags.phase, m.value, m.metadata.startTime]),
+    [
+      ['mount', 20, 1000],
+      ['update', 20, 1020],
+    ]
+  );
+});
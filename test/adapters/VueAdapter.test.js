@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { VueAdapter } = await import('../../src/adapters/VueAdapter.js');
+
+function setup(t) {
+  const eventBus = new EventBus();
+  const lifecycle = [];
+  eventBus.on('lifecycle:event', (event) => lifecycle.push(event.payload));
+  const adapter = new VueAdapter(eventBus, mergeConfig({}));
+  adapter.start();
+
+  const clock = { now: 0 };
+  t.mock.method(performance, 'now', () => clock.now);
+  return { adapter, lifecycle, clock };
+}
+
+/** Call a mixin hook on a component instance at a given time */
+const at = (clock, ms, hook, vm) => {
+  clock.now = ms;
+  hook.call(vm);
+};
+
+test('the mixin times mount, update and unmount per instance', (t) => {
+  const { adapter, lifecycle, clock } = setup(t);
+  const mixin = adapter.createMixin();
+  const list = { $options: { name: 'DealList' } };
+  const row = { $options: { __name: 'DealRow' } };
+
+  at(clock, 100, mixin.beforeCreate, list);
+  at(clock, 105, mixin.beforeCreate, row);
+  at(clock, 112, mixin.mounted, row);
+  at(clock, 130, mixin.mounted, list);
+  at(clock, 200, mixin.beforeUpdate, list);
+  at(clock, 208, mixin.updated, list);
+  at(clock, 300, mixin.beforeUnmount, list);
+  at(clock, 301, mixin.unmounted, list);
+
+  assert.deepEqual(
+    lifecycle.map(({ component, phase, duration, startTime }) => [component, phase, duration, startTime]),
+    [
+      ['DealRow', 'mount', 7, 105],
+      ['DealList', 'mount', 30, 100],
+      ['DealList', 'update', 8, 200],
+      ['DealList', 'unmount', 1, 300],
+    ]
+  );
+});
+
+test('an end hook without its start is not reported', (t) => {
+  const { adapter, lifecycle, clock } = setup(t);
+  const mixin = adapter.createMixin();
+  const vm = { $options: { name: 'DealList' } };
+
+  at(clock, 10, mixin.updated, vm); // mixin installed mid-update
+  at(clock, 20, mixin.beforeUpdate, vm);
+  at(clock, 25, mixin.updated, vm);
+  at(clock, 30, mixin.updated, vm);
+
+  assert.deepEqual(lifecycle.map((e) => e.duration), [5]);
+});
+
+test('the plugin installs Vue 2 unmount hook names on Vue 2', (t) => {
+  const { adapter, lifecycle, clock } = setup(t);
+  const mixins = [];
+  adapter.plugin.install({ version: '2.7.16', mixin: (m) => mixins.push(m) });
+  adapter.plugin.install({ version: '3.4.21', mixin: (m) => mixins.push(m) });
+
+  const [vue2, vue3] = mixins;
+  assert.ok(vue2.beforeDestroy && vue2.destroyed && !vue2.beforeUnmount);
+  assert.ok(vue3.beforeUnmount && vue3.unmounted && !vue3.beforeDestroy);
+
+  const vm = { $options: { _componentTag: 'deal-list' } };
+  at(clock, 0, vue2.beforeDestroy, vm);
+  at(clock, 3, vue2.destroyed, vm);
+  assert.deepEqual(lifecycle.map((e) => [e.component, e.phase, e.duration]), [['deal-list', 'unmount', 3]]);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals({ url: 'http://localhost/deals' });
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { AnomalyEngine } = await import('../../src/anamolies/AnomalyEngine.js');
+const { BaselineManager } = await import('../../src/anamolies/BaselineManager.js');
+
+test('metrics collected while the saved baseline loads are added to it, not overwritten', async () => {
+  const saved = new BaselineManager(30);
+  for (let i = 0; i < 40; i++) saved.record('api_call', 200);
+  localStorage.setItem('perfsdk:baseline:shop:1.0.0:/deals', JSON.stringify({ savedAt: 0, data: saved.serialize() }));
+
+  const eventBus = new EventBus();
+  const engine = new AnomalyEngine(eventBus, mergeConfig({ appName: 'shop', version: '1.0.0' }));
+  engine.start();
+
+  // The restore is still pending here
+  for (let i = 0; i < 5; i++) {
+    eventBus.emit('metric:collected', 'Test', { name: 'api_call', value: 210, unit: 'ms', tags: {} });
+  }
+  await engine.stop();
+
+  assert.equal(engine.baseline.getBaseline('api_call').sampleCount, 45);
+  const stored = JSON.parse(localStorage.getItem('perfsdk:baseline:shop:1.0.0:/deals'));
+  assert.equal(JSON.parse(stored.data).api_call.count, 45);
+});
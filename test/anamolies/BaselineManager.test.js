@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaselineManager } from '../../src/anamolies/BaselineManager.js';
+
+const NINE_AM = new Date(2026, 0, 5, 9, 30).getTime();
+
+test('seasonal buckets keep summary stats, not values', () => {
+  const baseline = new BaselineManager(10, 1, { seasonality: 'hourOfDay' });
+  for (let i = 0; i < 40; i++) baseline.record('api_call', 100 + (i % 5) * 10, NINE_AM + i);
+
+  const saved = JSON.parse(baseline.serialize());
+  assert.equal(saved['api_call'].values.length, 40);
+  assert.equal(saved['api_call@h9'].values, undefined);
+
+  const bucket = baseline.getBaseline('api_call', NINE_AM);
+  assert.equal(bucket.sampleCount, 40);
+  assert.ok(bucket.p25 < bucket.p50 && bucket.p50 < bucket.p75);
+  assert.ok(bucket.p99 <= bucket.max && bucket.p25 >= bucket.min);
+
+  const restored = new BaselineManager(10, 1, { seasonality: 'hourOfDay' });
+  restored.restore(baseline.serialize());
+  assert.deepEqual(restored.getBaseline('api_call', NINE_AM), bucket);
+});
+
+test('decay() cuts the time-decayed weight too, keeping mean and variance', () => {
+  const baseline = new BaselineManager(10, 1, { halfLifeSeconds: 3600 });
+  for (let i = 0; i < 100; i++) baseline.record('fcp', 1000 + (i % 10) * 20, NINE_AM + i * 1000);
+  const before = baseline.getBaseline('fcp', NINE_AM);
+
+  baseline.decay(0.25);
+  const after = baseline.getBaseline('fcp', NINE_AM);
+
+  assert.equal(after.sampleCount, 25);
+  assert.ok(Math.abs(after.effectiveSampleCount - before.effectiveSampleCount * 0.25) < 1e-9);
+  assert.equal(after.mean, before.mean);
+  assert.ok(Math.abs(after.variance - before.variance) < 1e-6);
+
+  // A new build's samples now move the decayed mean four times faster
+  baseline.record('fcp', 2000, NINE_AM + 100_000);
+  const moved = baseline.getBaseline('fcp', NINE_AM + 100_000).mean - before.mean;
+  assert.ok(moved > (2000 - before.mean) / before.effectiveSampleCount * 3);
+});
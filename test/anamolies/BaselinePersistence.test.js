@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals, createMemoryStorage } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { BaselineManager } = await import('../../src/anamolies/BaselineManager.js');
+const { BaselinePersistence } = await import('../../src/anamolies/BaselinePersistence.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+
+function persistenceAt(path, storage, anomaly = {}) {
+  location.href = `http://localhost${path}`;
+  const config = mergeConfig({ appName: 'shop', version: '1.0.0', anomaly });
+  const baseline = new BaselineManager(config.anomaly.baselineLearningPeriod);
+  for (let i = 0; i < 50; i++) baseline.record('api_call', 100 + i);
+  return new BaselinePersistence(baseline, storage, config);
+}
+
+test('saved baselines past persistMaxBytes are evicted least recently used first', async () => {
+  const storage = createMemoryStorage();
+  const size = persistenceAt('/probe', createMemoryStorage()).baseline.serialize().length;
+  const anomaly = { persistMaxBytes: size * 2.5 };
+
+  await persistenceAt('/a', storage, anomaly).save();
+  await persistenceAt('/b', storage, anomaly).save();
+  // Reopening /a makes /b the least recently used
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  assert.equal(await persistenceAt('/a', storage, anomaly).restore(), true);
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await persistenceAt('/c', storage, anomaly).save();
+
+  assert.ok(await storage.get('perfsdk:baseline:shop:1.0.0:/a'));
+  assert.equal(await storage.get('perfsdk:baseline:shop:1.0.0:/b'), null);
+  assert.equal(await storage.get('perfsdk:baseline:shop:/b:version'), null);
+  assert.ok(await storage.get('perfsdk:baseline:shop:1.0.0:/c'));
+
+  const index = await storage.get('perfsdk:baseline:index');
+  assert.deepEqual(Object.keys(index).sort(), ['perfsdk:baseline:shop:1.0.0:/a', 'perfsdk:baseline:shop:1.0.0:/c']);
+});
+
+test('a version change drops the old baseline from the index', async () => {
+  const storage = createMemoryStorage();
+  await persistenceAt('/a', storage).save();
+
+  location.href = 'http://localhost/a';
+  const config = mergeConfig({ appName: 'shop', version: '2.0.0' });
+  const next = new BaselinePersistence(new BaselineManager(30), storage, config);
+  assert.equal(await next.restore(), true);
+
+  const index = await storage.get('perfsdk:baseline:index');
+  assert.deepEqual(Object.keys(index), []);
+});
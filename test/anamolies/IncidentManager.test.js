@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+import { learnedBaseline, metric } from '../helpers/baseline.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { IncidentManager } = await import('../../src/anamolies/IncidentManager.js');
+
+function setup(t, baseline = null) {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1_000_000 });
+  const eventBus = new EventBus();
+  const config = mergeConfig({ anomaly: { cooldownMs: 60000, resolveAfterMs: 120000, resolveAfterSamples: 3 } });
+  const incidents = new IncidentManager(eventBus, config, baseline);
+  const reported = [];
+  const resolved = [];
+  eventBus.on('anomaly:reported', (event) => reported.push(event.payload));
+  eventBus.on('anomaly:resolved', (event) => resolved.push(event.payload));
+  incidents.start();
+  t.after(() => incidents.stop());
+  return { eventBus, incidents, reported, resolved };
+}
+
+function slowCall(url, severity = 'warning') {
+  return {
+    type: 'spike',
+    severity,
+    message: `slow ${url}`,
+    metric: metric('api_call', 900, { url, method: 'GET' }),
+    baseline: null,
+    score: severity === 'critical' ? 0.9 : 0.5,
+    timestamp: Date.now(),
+    context: {},
+  };
+}
+
+test('repeats inside the cooldown are counted, not reported', (t) => {
+  const { eventBus, reported } = setup(t);
+  for (let i = 0; i < 5; i++) eventBus.emit('anomaly:detected', 'AnomalyEngine', slowCall('/foo'));
+  assert.equal(reported.length, 1);
+
+  t.mock.timers.tick(60000);
+  eventBus.emit('anomaly:detected', 'AnomalyEngine', slowCall('/foo'));
+  assert.equal(reported.length, 2);
+  assert.equal(reported[1].incident.count, 6);
+  assert.equal(reported[1].incident.id, reported[0].incident.id);
+});
+
+test('an escalation to critical is reported inside the cooldown', (t) => {
+  const { eventBus, reported } = setup(t);
+  eventBus.emit('anomaly:detected', 'AnomalyEngine', slowCall('/foo'));
+  eventBus.emit('anomaly:detected', 'AnomalyEngine', slowCall('/foo', 'critical'));
+  eventBus.emit('anomaly:detected', 'AnomalyEngine', slowCall('/foo', 'critical'));
+
+  assert.deepEqual(reported.map((r) => r.severity), ['warning', 'critical']);
+  assert.equal(reported[1].incident.peakScore, 0.9);
+});
+
+test('an incident nothing matched for resolveAfterMs resolves as quiet', (t) => {
+  const { eventBus, incidents, resolved } = setup(t);
+  eventBus.emit('anomaly:detected', 'AnomalyEngine', slowCall('/foo'));
+
+  t.mock.timers.tick(110000);
+  assert.equal(resolved.length, 0);
+  t.mock.timers.tick(10000);
+  assert.equal(resolved.length, 1);
+  assert.equal(resolved[0].reason, 'quiet');
+  assert.equal(incidents.hasOpenIncidents(), false);
+});
+
+test('only healthy samples with the same fingerprint tags resolve an incident', (t) => {
+  const { eventBus, incidents, resolved } = setup(t, learnedBaseline('api_call', 100, 10));
+  eventBus.emit('anomaly:detected', 'AnomalyEngine', slowCall('/foo'));
+
+  for (let i = 0; i < 5; i++) {
+    eventBus.emit('metric:collected', 'NetworkCollector', metric('api_call', 100, { url: '/bar', method: 'GET' }));
+  }
+  assert.equal(resolved.length, 0);
+  assert.equal(incidents.hasOpenIncidents(), true);
+
+  for (let i = 0; i < 3; i++) {
+    eventBus.emit('metric:collected', 'NetworkCollector', metric('api_call', 100, { url: '/foo', method: 'GET' }));
+  }
+  assert.equal(resolved.length, 1);
+  assert.equal(resolved[0].reason, 'baseline');
+});
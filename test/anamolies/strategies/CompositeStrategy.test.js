@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CompositeStrategy } from '../../../src/anamolies/strategies/CompositeStrategy.js';
+import { metric } from '../../helpers/baseline.js';
+
+/** Strategies that fire with a fixed score, or not at all (score 0) */
+function fixed(scores) {
+  return (name) => ({
+    name,
+    detect: (m) =>
+      scores[name] ? { type: 'spike', severity: 'warning', metric: m, message: name, score: scores[name], context: {} } : null,
+  });
+}
+
+test('routes each metric to the first matching route', () => {
+  const strategy = new CompositeStrategy(
+    [
+      { match: /^heap_/, strategies: ['ema'] },
+      { match: '*', strategies: ['zscore'] },
+    ],
+    fixed({ ema: 0.5 })
+  );
+  assert.deepEqual(strategy.detect(metric('heap_used', 1), null).context.agreed, ['ema']);
+  assert.equal(strategy.detect(metric('api_call', 1), null), null);
+});
+
+test('majority needs more than half of the strategies', () => {
+  const routes = [{ match: '*', strategies: ['zscore', 'iqr', 'ema'], combine: 'majority' }];
+  assert.equal(new CompositeStrategy(routes, fixed({ zscore: 0.9 })).detect(metric('x', 1), null), null);
+  assert.equal(new CompositeStrategy(routes, fixed({ zscore: 0.9, iqr: 0.6 })).detect(metric('x', 1), null).context.votes, '2/3');
+});
+
+test('weighted combines scores against minScore', () => {
+  const routes = [{ match: 'api_*', strategies: ['zscore', 'iqr'], combine: 'weighted', weights: { zscore: 3 }, minScore: 0.5 }];
+  const anomaly = new CompositeStrategy(routes, fixed({ zscore: 0.8 })).detect(metric('api_call', 1), null);
+  assert.ok(Math.abs(anomaly.score - 0.6) < 1e-9); // (3 × 0.8 + 1 × 0) / 4
+  assert.equal(new CompositeStrategy(routes, fixed({ iqr: 0.8 })).detect(metric('api_call', 1), null), null);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMAStrategy } from '../../../src/anamolies/strategies/EMAStrategy.js';
+import { learnedBaseline, metric } from '../../helpers/baseline.js';
+
+test('follows values that stay on trend', () => {
+  const baseline = learnedBaseline('heap_used');
+  const strategy = new EMAStrategy();
+  for (const value of [98, 102, 100, 101, 99]) {
+    assert.equal(strategy.detect(metric('heap_used', value), baseline), null);
+  }
+});
+
+test('flags a departure from the trend as drift', () => {
+  const baseline = learnedBaseline('heap_used');
+  const anomaly = new EMAStrategy(0.3, 2.5).detect(metric('heap_used', 200), baseline);
+  assert.equal(anomaly.type, 'drift');
+  assert.equal(anomaly.context.strategy, 'ema');
+  assert.ok(anomaly.context.ema > 100 && anomaly.context.ema < 200);
+});
+
+test('keeps a separate trend per metric', () => {
+  const baseline = learnedBaseline('heap_used');
+  const strategy = new EMAStrategy();
+  strategy.detect(metric('heap_used', 100), baseline);
+  assert.equal(strategy._emaValues.size, 1);
+  assert.equal(strategy.detect(metric('unknown_metric', 100), baseline), null);
+});
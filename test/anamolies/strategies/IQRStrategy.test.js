@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IQRStrategy } from '../../../src/anamolies/strategies/IQRStrategy.js';
+import { learnedBaseline, metric } from '../../helpers/baseline.js';
+
+test('flags values above the upper fence only', () => {
+  const baseline = learnedBaseline();
+  const { p25, p75 } = baseline.getBaseline('api_call');
+  const fence = p75 + 2 * (p75 - p25);
+  const strategy = new IQRStrategy(2);
+
+  assert.equal(strategy.detect(metric('api_call', fence), baseline), null);
+  assert.equal(strategy.detect(metric('api_call', 1), baseline), null); // fast is never an anomaly
+
+  const anomaly = strategy.detect(metric('api_call', fence + 1), baseline);
+  assert.equal(anomaly.type, 'spike');
+  assert.equal(anomaly.context.upperFence, fence);
+});
+
+test('critical beyond 2k IQRs past Q3', () => {
+  const baseline = learnedBaseline();
+  const { p25, p75 } = baseline.getBaseline('api_call');
+  const anomaly = new IQRStrategy(2).detect(metric('api_call', p75 + 5 * (p75 - p25)), baseline);
+  assert.equal(anomaly.severity, 'critical');
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeConfig } from '../../../src/core/Config.js';
+import { ThresholdStrategy } from '../../../src/anamolies/strategies/ThresholdStrategy.js';
+import { metric } from '../../helpers/baseline.js';
+
+const withBudgets = (budgets) => new ThresholdStrategy(mergeConfig({ anomaly: { budgets } }).anomaly.budgets);
+
+test('classifies against the default budgets', () => {
+  const strategy = withBudgets({});
+  assert.equal(strategy.classify(metric('long_task', 100)), 'info');
+  assert.equal(strategy.classify(metric('long_task', 300)), 'warning');
+  assert.equal(strategy.classify(metric('long_task', 600)), 'critical');
+  assert.equal(strategy.classify(metric('no_budget', 1e9)), null);
+});
+
+test('user budgets merge over the defaults per metric', () => {
+  const strategy = withBudgets({ api_call: { critical: 3000 }, long_task: { warning: 400 } });
+  assert.equal(strategy.classify(metric('api_call', 2000)), 'warning');
+  assert.equal(strategy.classify(metric('api_call', 4000)), 'critical');
+  assert.equal(strategy.classify(metric('long_task', 300)), 'info');
+  assert.equal(strategy.classify(metric('long_task', 600)), 'critical');
+  assert.equal(strategy.classify(metric('dom_depth', 40)), 'warning');
+});
+
+test('tag overrides apply to matching tags only', () => {
+  const strategy = new ThresholdStrategy({
+    api_call: { warning: 1000, critical: 3000, byTag: { url: { '/api/report': { warning: 5000, critical: 10000 } } } },
+  });
+  assert.equal(strategy.classify(metric('api_call', 2000, { url: '/api/report' })), 'info');
+  assert.equal(strategy.classify(metric('api_call', 2000, { url: '/api/deals' })), 'warning');
+});
+
+test('detect() reports the breached budget', () => {
+  const strategy = withBudgets({});
+  const anomaly = strategy.detect(metric('long_task', 600));
+  assert.equal(anomaly.type, 'threshold_breach');
+  assert.equal(anomaly.severity, 'critical');
+  assert.equal(anomaly.context.exceededBy, 100);
+  assert.equal(strategy.detect(metric('long_task', 100)), null);
+});
+
+test("direction: 'below' budgets breach when the value drops under them", () => {
+  const strategy = withBudgets({});
+  assert.equal(strategy.classify(metric('fps', 60)), 'info');
+  assert.equal(strategy.classify(metric('fps', 20)), 'warning');
+  assert.equal(strategy.classify(metric('fps', 10)), 'critical');
+
+  const anomaly = strategy.detect(metric('fps', 10));
+  assert.equal(anomaly.context.exceededBy, 5);
+  assert.equal(anomaly.score, 1);
+  assert.match(anomaly.message, /falls below critical budget of 15/);
+});
+
+test('no budgets given means nothing is classified', () => {
+  assert.equal(new ThresholdStrategy().classify(metric('long_task', 1e6)), null);
+});
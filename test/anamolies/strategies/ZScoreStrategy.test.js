@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZScoreStrategy } from '../../../src/anamolies/strategies/ZScoreStrategy.js';
+import { BaselineManager } from '../../../src/anamolies/BaselineManager.js';
+import { learnedBaseline, metric } from '../../helpers/baseline.js';
+
+test('ignores values near the mean', () => {
+  assert.equal(new ZScoreStrategy().detect(metric('api_call', 105), learnedBaseline()), null);
+});
+
+test('flags a spike, critical beyond twice the threshold', () => {
+  const baseline = learnedBaseline();
+  const { stdDev } = baseline.getBaseline('api_call');
+  const strategy = new ZScoreStrategy(2.5);
+
+  const warning = strategy.detect(metric('api_call', 100 + 3 * stdDev), baseline);
+  assert.equal(warning.type, 'spike');
+  assert.equal(warning.severity, 'warning');
+
+  const critical = strategy.detect(metric('api_call', 100 + 6 * stdDev), baseline);
+  assert.equal(critical.severity, 'critical');
+  assert.ok(critical.score > warning.score);
+});
+
+test('says nothing while the baseline is still learning', () => {
+  const baseline = new BaselineManager(30);
+  baseline.record('api_call', 100);
+  baseline.record('api_call', 120);
+  assert.equal(new ZScoreStrategy().detect(metric('api_call', 10000), baseline), null);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+import { FakeElement, installDocumentTree } from '../helpers/dom.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { DomCollector } = await import('../../src/collectors/DomCollector.js');
+
+function setup(userConfig = {}) {
+  const { body } = installDocumentTree();
+  const eventBus = new EventBus();
+  const metrics = [];
+  eventBus.on('metric:collected', (event) => metrics.push(event.payload));
+  const collector = new DomCollector(eventBus, mergeConfig(userConfig));
+  return { body, collector, metrics };
+}
+
+test('attributes growth to the element the nodes were added under', () => {
+  const { body, collector, metrics } = setup();
+  const main = body.appendChild(new FakeElement('main'));
+  const list = main.appendChild(new FakeElement('ul', { id: 'deals' }));
+  collector.start();
+
+  for (let i = 0; i < 30; i++) {
+    const row = list.appendChild(new FakeElement('li'));
+    row.appendChild(new FakeElement('span'));
+  }
+  collector._scan();
+  collector.stop();
+
+  const growth = metrics.filter((m) => m.name === 'dom_subtree_growth');
+  assert.deepEqual(
+    growth.map((m) => [m.tags.selector, m.value]),
+    [['#deals', 60]]
+  );
+  assert.equal(growth[0].metadata.subtreeSize, 61);
+});
+
+test('reports no growth on the first scan or for a stable tree', () => {
+  const { body, collector, metrics } = setup();
+  for (let i = 0; i < 50; i++) body.appendChild(new FakeElement('div'));
+  collector.start();
+  collector._scan();
+  collector.stop();
+
+  assert.equal(metrics.filter((m) => m.name === 'dom_subtree_growth').length, 0);
+});
+
+test('leaves layout getters alone unless dom.layoutThrashing is on', () => {
+  const descriptor = { get: () => 42, configurable: true, enumerable: true };
+  globalThis.HTMLElement = class {};
+  Object.defineProperty(HTMLElement.prototype, 'offsetHeight', descriptor);
+
+  const { collector } = setup();
+  collector.start();
+  assert.equal(Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight').get, descriptor.get);
+  collector.stop();
+
+  const { collector: thrashing } = setup({ dom: { layoutThrashing: true } });
+  thrashing.start();
+  assert.notEqual(Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight').get, descriptor.get);
+  thrashing.stop();
+  assert.equal(Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight').get, descriptor.get);
+
+  delete globalThis.HTMLElement;
+});
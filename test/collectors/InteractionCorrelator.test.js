@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { RateLimiter } = await import('../../src/core/RateLimiter.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { BaseCollector } = await import('../../src/collectors/BaseCollector.js');
+const { InteractionCorrelator } = await import('../../src/collectors/InteractionCorrelator.js');
+
+class SourceCollector extends BaseCollector {
+  start() {}
+  stop() {}
+}
+
+function setup() {
+  const config = mergeConfig({ metricRateLimits: { long_task: 1 } });
+  const eventBus = new EventBus();
+  const rateLimiter = new RateLimiter(eventBus, config);
+  const correlator = new InteractionCorrelator(eventBus, config);
+  const source = new SourceCollector(eventBus, config);
+  source.rateLimiter = rateLimiter;
+  source.correlator = correlator;
+
+  const breakdowns = [];
+  eventBus.on('metric:collected', (event) => {
+    if (event.payload.name === 'interaction_breakdown') breakdowns.push(event.payload);
+  });
+  return { correlator, source, breakdowns };
+}
+
+const task = (startTime, duration, culprit) => ({
+  name: 'long_task', value: duration, unit: 'ms', tags: { culprit }, metadata: { startTime },
+});
+
+test('long tasks dropped by the rate limiter still explain an interaction', () => {
+  const { correlator, source, breakdowns } = setup();
+  correlator.start();
+
+  source.emit(task(0, 60, 'analytics.js'));        // takes the only token
+  source.emit(task(1000, 180, 'DealGrid.render'));  // rate limited
+  source.emit({
+    name: 'slow_interaction',
+    value: 240,
+    unit: 'ms',
+    tags: { eventType: 'click' },
+    metadata: { startTime: 990, processingStart: 1000, processingEnd: 1190, inputDelay: 10, processingTime: 190, presentationDelay: 40 },
+    timestamp: 1234,
+  });
+  correlator.stop();
+
+  assert.equal(breakdowns.length, 1);
+  assert.equal(breakdowns[0].tags.culprit, 'DealGrid.render');
+  assert.equal(breakdowns[0].tags.cause, 'processing');
+  assert.equal(breakdowns[0].timestamp, 1234);
+});
+
+test('the mutation log watches added / removed nodes only', () => {
+  const observed = [];
+  const { MutationObserver } = globalThis;
+  globalThis.MutationObserver = class extends MutationObserver {
+    observe(target, options) {
+      observed.push(options);
+    }
+  };
+  const { correlator } = setup();
+  correlator.start();
+  correlator.stop();
+  globalThis.MutationObserver = MutationObserver;
+
+  assert.deepEqual(observed, [{ childList: true, subtree: true }]);
+});
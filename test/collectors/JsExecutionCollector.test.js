@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { JSExecutionCollector } = await import('../../src/collectors/JsExecutionCollector.js');
+
+/** Measures `lags` in turn: each message arrives that many ms after it was posted */
+function installLaggyChannel(t, lags) {
+  let now = 0;
+  t.mock.method(performance, 'now', () => now);
+  const { MessageChannel } = globalThis;
+  globalThis.MessageChannel = class {
+    constructor() {
+      this.port2 = {};
+      this.port1 = {
+        postMessage: () => {
+          now += lags.shift();
+          this.port2.onmessage();
+        },
+      };
+    }
+  };
+  t.after(() => (globalThis.MessageChannel = MessageChannel));
+}
+
+test('event loop lag below budgets.event_loop_lag.info is not reported', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  installLaggyChannel(t, [8, 30, 80]);
+
+  const eventBus = new EventBus();
+  const lags = [];
+  eventBus.on('metric:collected', (event) => {
+    if (event.payload.name === 'event_loop_lag') lags.push(event.payload);
+  });
+  const config = mergeConfig({ anomaly: { budgets: { event_loop_lag: { info: 20 } } } });
+  const collector = new JSExecutionCollector(eventBus, config);
+  collector.start();
+  t.mock.timers.tick(3000);
+  collector.stop();
+
+  assert.deepEqual(lags.map((m) => m.value), [30, 80]);
+  assert.deepEqual(lags[1].metadata.threshold, { info: 20, warning: 50, critical: 200 });
+  assert.equal(lags[1].tags.severity, 'warning');
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { LongAnimationFrameCollector } = await import('../../src/collectors/LongAnimationFrameCollector.js');
+const { JSExecutionCollector } = await import('../../src/collectors/JsExecutionCollector.js');
+
+/** PerformanceObserver stand-in: `deliver(type, entries)` feeds the observers of that type */
+const observers = new Map();
+class FakePerformanceObserver {
+  static supportedEntryTypes = ['longtask', 'long-animation-frame'];
+  constructor(callback) {
+    this._callback = callback;
+  }
+  observe({ type }) {
+    observers.set(type, this._callback);
+  }
+  disconnect() {
+    for (const [type, callback] of observers) if (callback === this._callback) observers.delete(type);
+  }
+}
+globalThis.PerformanceObserver = FakePerformanceObserver;
+
+function deliver(type, entries) {
+  observers.get(type)?.({ getEntries: () => entries });
+}
+
+const frame = (startTime) => ({ startTime, duration: 80, renderStart: startTime + 60, styleAndLayoutStart: startTime + 70, scripts: [] });
+const longTask = (startTime) => ({ startTime, duration: 120, attribution: [] });
+
+test('buffered frames are capped between collect() calls', () => {
+  const collector = new LongAnimationFrameCollector(new EventBus(), mergeConfig({}));
+  collector.start();
+  deliver('long-animation-frame', Array.from({ length: 1000 }, (_, i) => frame(i * 100)));
+  collector.stop();
+
+  const collected = collector.collect();
+  assert.equal(collected.length, 200);
+  assert.equal(collected.at(-1).metadata.startTime, 99900);
+  assert.equal(collector.collect().length, 0);
+});
+
+test('long tasks are reported only while LoAF is not observing', () => {
+  const eventBus = new EventBus();
+  const config = mergeConfig({});
+  const loaf = new LongAnimationFrameCollector(eventBus, config);
+  const jsExecution = new JSExecutionCollector(eventBus, config);
+  jsExecution.longAnimationFrames = loaf;
+  const names = [];
+  eventBus.on('metric:collected', (event) => names.push(event.payload.name));
+
+  loaf.start();
+  jsExecution.start();
+  deliver('longtask', [longTask(0)]);
+  deliver('long-animation-frame', [frame(0)]);
+  assert.deepEqual(names.filter((n) => n !== 'event_loop_lag'), ['long_animation_frame']);
+
+  loaf.stop();
+  deliver('longtask', [longTask(500)]);
+  jsExecution.stop();
+  assert.deepEqual(names.filter((n) => n !== 'event_loop_lag'), ['long_animation_frame', 'long_task']);
+});
+
+test('long tasks are the fallback when the LoAF observer fails to start', () => {
+  const original = FakePerformanceObserver.prototype.observe;
+  FakePerformanceObserver.prototype.observe = function (options) {
+    if (options.type === 'long-animation-frame') throw new TypeError('blocked');
+    return original.call(this, options);
+  };
+
+  const loaf = new LongAnimationFrameCollector(new EventBus(), mergeConfig({}));
+  loaf.start();
+  FakePerformanceObserver.prototype.observe = original;
+
+  assert.equal(loaf.isRunning, true);
+  assert.equal(loaf.isObserving, false);
+  loaf.stop();
+});
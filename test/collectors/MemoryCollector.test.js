@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+import { FakeElement, installDocumentTree } from '../helpers/dom.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { MemoryCollector } = await import('../../src/collectors/MemoryCollector.js');
+
+let observerCallback = null;
+globalThis.MutationObserver = class {
+  constructor(callback) {
+    observerCallback = callback;
+  }
+  observe() {}
+  disconnect() {}
+};
+
+function setup() {
+  const { body } = installDocumentTree();
+  const list = body.appendChild(new FakeElement('ul', { id: 'deals' }));
+  const eventBus = new EventBus();
+  const metrics = [];
+  const anomalies = [];
+  eventBus.on('metric:collected', (event) => metrics.push(event.payload));
+  eventBus.on('anomaly:detected', (event) => anomalies.push(event.payload));
+  const collector = new MemoryCollector(eventBus, mergeConfig({}));
+  return { list, collector, metrics, anomalies };
+}
+
+/** Append and remove `count` rows of `size` elements, one mutation record per row */
+function removeRows(list, count, size = 3) {
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const row = list.appendChild(new FakeElement('li', { attributes: { 'data-component': 'DealRow' } }));
+    for (let j = 1; j < size; j++) row.appendChild(new FakeElement('span'));
+    rows.push(row);
+  }
+  for (const row of rows) list.removeChild(row);
+  observerCallback(rows.map((row) => ({ target: list, removedNodes: [row] })));
+  return rows;
+}
+
+function age(collector, ms) {
+  for (const entry of collector._removed.values()) entry.removedAt -= ms;
+}
+
+test('a busy app still gets its removals checked after the grace period', () => {
+  const { list, collector, metrics, anomalies } = setup();
+  collector._trackDetachedNodes();
+
+  const retained = removeRows(list, 2000); // all kept alive by this test
+  assert.equal(collector._removed.size, collector._MAX_REMOVALS_PER_CHECK);
+
+  age(collector, collector._DETACHED_GRACE_MS + 1);
+  collector._checkDetached();
+  collector.stop();
+
+  const detached = metrics.find((m) => m.name === 'detached_dom_nodes');
+  assert.equal(detached.value, collector._MAX_REMOVALS_PER_CHECK * 3);
+  assert.equal(anomalies[0].type, 'detached_dom_leak');
+  assert.equal(anomalies[0].context.culprit, 'DealRow');
+  assert.ok(retained.length > 0);
+});
+
+test('only subtree roots are tracked, not nodes removed from a detached subtree', () => {
+  const { list, collector } = setup();
+  collector._trackDetachedNodes();
+
+  const [row] = removeRows(list, 1);
+  const inner = row.children[0];
+  row.removeChild(inner);
+  observerCallback([{ target: row, removedNodes: [inner] }]);
+  collector.stop();
+
+  assert.equal(collector._removed.size, 0); // stop() forgets everything
+});
+
+test('a full table evicts judged removals, never ones still in their grace period', () => {
+  const { list, collector } = setup();
+  collector._MAX_REMOVALS_PER_CHECK = Infinity;
+  collector._trackDetachedNodes();
+
+  removeRows(list, collector._MAX_TRACKED_REMOVALS + 50);
+  assert.equal(collector._removed.size, collector._MAX_TRACKED_REMOVALS);
+  const firstId = collector._removed.keys().next().value;
+  assert.equal(firstId, 0);
+
+  age(collector, collector._DETACHED_GRACE_MS + 1);
+  removeRows(list, 10);
+  assert.equal(collector._removed.size, collector._MAX_TRACKED_REMOVALS);
+  assert.equal(collector._removed.has(0), false);
+  collector.stop();
+});
+
+test('stop() leaves an addEventListener wrapper installed after ours in place', () => {
+  const { collector } = setup();
+  const original = EventTarget.prototype.addEventListener;
+  collector._trackDetachedNodes();
+
+  const ours = EventTarget.prototype.addEventListener;
+  assert.notEqual(ours, original);
+  const theirs = function (...args) {
+    return ours.apply(this, args);
+  };
+  EventTarget.prototype.addEventListener = theirs;
+
+  collector.stop();
+  assert.equal(EventTarget.prototype.addEventListener, theirs);
+  EventTarget.prototype.addEventListener = original;
+
+  // Nobody wrapped it after us: restored
+  const second = setup().collector;
+  second._trackDetachedNodes();
+  second.stop();
+  assert.equal(EventTarget.prototype.addEventListener, original);
+});
+
+test('leak slope is fit to post-GC minima against time, not sample index', () => {
+  const { collector, anomalies } = setup();
+  const MB = 1048576;
+  const limit = 2048 * MB;
+  const slope = 200 * 1024; // bytes per second
+  const trend = (ms) => 50 * MB + slope * (ms / 1000);
+
+  // One sawtooth tooth per minimum; the gap before 65s is a throttled background tab
+  const minimaAt = [0, 3000, 4000, 65000, 70000];
+  const sample = (timestamp, usedJSHeapSize) => ({ timestamp, usedJSHeapSize, totalJSHeapSize: usedJSHeapSize, jsHeapSizeLimit: limit });
+  for (const t of minimaAt) {
+    collector._heapHistory.push(sample(t - 500, trend(t) + 8 * MB), sample(t, trend(t)));
+  }
+  collector._heapHistory.push(sample(71000, trend(71000) + 2 * MB));
+
+  collector._detectMemoryLeak();
+
+  assert.equal(anomalies.length, 1);
+  const { severity, context } = anomalies[0];
+  assert.deepEqual(context.recentMinima.map((m) => m.timestamp), minimaAt);
+  assert.ok(Math.abs(context.slope - slope) < 1e-6, `slope ${context.slope}`);
+  assert.ok(context.rSquared > 0.999999);
+  assert.equal(context.durationSeconds, 70);
+  // Trend line reaches the limit (2048MB - 50MB) / 200KB/s = 10229.76s after the first minimum, 71s have passed
+  assert.equal(context.secondsToLimit, 10159);
+  assert.equal(severity, 'warning');
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+import { FakeElement, installDocumentTree } from '../helpers/dom.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { WebVitalsCollector } = await import('../../src/collectors/WebVitalsCollector.js');
+
+/** PerformanceObserver stand-in: `deliver(type, entries)` feeds the observer of that type */
+const observers = new Map();
+globalThis.PerformanceObserver = class {
+  constructor(callback) {
+    this._callback = callback;
+  }
+  observe({ type }) {
+    observers.set(type, this._callback);
+  }
+  disconnect() {}
+};
+function deliver(type, entries) {
+  observers.get(type)?.({ getEntries: () => entries });
+}
+
+function setup(t, entriesByType = {}) {
+  t.mock.method(performance, 'getEntriesByType', (type) => entriesByType[type] ?? []);
+  const eventBus = new EventBus();
+  const metrics = [];
+  eventBus.on('metric:collected', (event) => metrics.push(event.payload));
+  const collector = new WebVitalsCollector(eventBus, mergeConfig({}));
+  collector.start();
+  t.after(() => collector.stop());
+  return { eventBus, metrics, collector };
+}
+
+test('the hard load LCP arriving after a route change is still tagged hard', (t) => {
+  const nav = { navigationId: 'n1', activationStart: 0, responseStart: 100, requestStart: 50 };
+  const { eventBus, metrics } = setup(t, { navigation: [nav] });
+
+  eventBus.emit('route:changed', 'RouteTracker', { from: '/', to: '/deals', startTime: 900 });
+  deliver('largest-contentful-paint', [{ startTime: 1200, size: 5000, navigationId: 'n1' }]);
+
+  const lcp = metrics.find((m) => m.name === 'lcp');
+  assert.equal(lcp.tags.navigation, 'hard');
+  assert.equal(lcp.value, 1200);
+  assert.equal(lcp.metadata.timeToFirstByte, 100);
+});
+
+test('an LCP entry attributed to a soft navigation is measured from its start', (t) => {
+  const nav = { navigationId: 'n1', activationStart: 0, responseStart: 100, requestStart: 50 };
+  const soft = { navigationId: 'n2', startTime: 5000 };
+  const { metrics } = setup(t, { navigation: [nav], 'soft-navigation': [soft] });
+
+  deliver('largest-contentful-paint', [{ startTime: 5400, size: 800, navigationId: 'n2' }]);
+
+  const lcp = metrics.find((m) => m.name === 'lcp');
+  assert.equal(lcp.tags.navigation, 'soft');
+  assert.equal(lcp.value, 400);
+  assert.equal(lcp.metadata.timeToFirstByte, undefined);
+});
+
+test('a prerendered page reports TTFB, FCP and LCP only once activated', (t) => {
+  const listeners = new Map();
+  t.mock.method(document, 'addEventListener', (type, listener) => listeners.set(type, listener));
+  document.prerendering = true;
+  t.after(() => delete document.prerendering);
+
+  const nav = { navigationId: 'n1', activationStart: 0, responseStart: 100, requestStart: 50 };
+  const { metrics } = setup(t, { navigation: [nav] });
+  deliver('paint', [{ name: 'first-contentful-paint', startTime: 300 }]);
+  assert.deepEqual(metrics.filter((m) => m.name === 'ttfb' || m.name === 'fcp'), []);
+
+  // Shown 2s into the prerender
+  nav.activationStart = 2000;
+  document.prerendering = false;
+  listeners.get('prerenderingchange')();
+  deliver('paint', [{ name: 'first-contentful-paint', startTime: 2150 }]);
+
+  assert.equal(metrics.find((m) => m.name === 'ttfb').value, 0);
+  assert.equal(metrics.find((m) => m.name === 'fcp').value, 150);
+  assert.equal(metrics.find((m) => m.name === 'ttfb').tags.navigationType, 'prerender');
+});
+
+test('a back/forward cache restore reports LCP again', async (t) => {
+  const { metrics, collector } = setup(t);
+  collector._onBackForwardCacheRestore({ timeStamp: performance.now() });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const lcp = metrics.find((m) => m.name === 'lcp');
+  assert.equal(lcp.tags.navigationType, 'back-forward-cache');
+  assert.equal(lcp.value, metrics.find((m) => m.name === 'fcp').value);
+});
+
+test('CLS shiftedElements come from the largest shift of the session', (t) => {
+  const { body } = installDocumentTree();
+  const banner = body.appendChild(new FakeElement('div', { id: 'promo-banner' }));
+  const footer = body.appendChild(new FakeElement('footer', { id: 'site-footer' }));
+  const rect = { x: 0, y: 0, width: 100, height: 50 };
+  const { metrics } = setup(t);
+
+  deliver('layout-shift', [
+    { startTime: 100, duration: 0, value: 0.2, sources: [{ node: banner, previousRect: rect, currentRect: rect }] },
+    { startTime: 300, duration: 0, value: 0.01, sources: [{ node: footer, previousRect: rect, currentRect: rect }] },
+  ]);
+
+  const cls = metrics.filter((m) => m.name === 'cls').at(-1);
+  assert.equal(cls.metadata.entryCount, 2);
+  assert.deepEqual(cls.metadata.shiftedElements, [cls.metadata.largestShiftTarget]);
+  assert.match(cls.metadata.largestShiftTarget, /promo-banner/);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG, mergeConfig } from '../../src/core/Config.js';
+
+test('a partial nested override keeps the sibling defaults', () => {
+  const config = mergeConfig({ transport: { offlineQueue: { storage: 'indexedDB' } } });
+
+  assert.equal(config.transport.offlineQueue.storage, 'indexedDB');
+  assert.equal(config.transport.offlineQueue.enabled, true);
+  assert.equal(config.transport.offlineQueue.maxBatches, DEFAULT_CONFIG.transport.offlineQueue.maxBatches);
+  assert.equal(config.transport.batchSize, DEFAULT_CONFIG.transport.batchSize);
+});
+
+test('arrays, functions and RegExps replace the default whole', () => {
+  const send = () => {};
+  const match = /^heap_/;
+  const config = mergeConfig({
+    routing: { patterns: ['/deals/:id'] },
+    anomaly: { routes: [{ match, strategies: ['ema'] }] },
+    transport: { type: 'custom', send },
+  });
+
+  assert.deepEqual(config.routing.patterns, ['/deals/:id']);
+  assert.equal(config.anomaly.routes[0].match, match);
+  assert.equal(config.transport.send, send);
+});
+
+test('merged config never aliases the defaults', () => {
+  const config = mergeConfig({});
+  config.transport.offlineQueue.enabled = false;
+  config.anomaly.budgets.long_task.warning = 1;
+
+  assert.equal(DEFAULT_CONFIG.transport.offlineQueue.enabled, true);
+  assert.equal(DEFAULT_CONFIG.anomaly.budgets.long_task.warning, 200);
+});
+
+test('unknown keys and null values pass through', () => {
+  const config = mergeConfig({ custom: { a: 1 }, onAnomaly: null });
+  assert.deepEqual(config.custom, { a: 1 });
+  assert.equal(config.onAnomaly, null);
+});
+
+test('leakDetection fills in its defaults, so collectors read it directly', () => {
+  const config = mergeConfig({ leakDetection: { windowMs: 60000 } });
+  assert.deepEqual(config.leakDetection, { ...DEFAULT_CONFIG.leakDetection, windowMs: 60000 });
+});
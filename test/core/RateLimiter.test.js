@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { RateLimiter } = await import('../../src/core/RateLimiter.js');
+
+/** A limiter on a clock the test moves: `advance(ms)` moves performance.now, Date and timers */
+function setup(t, config) {
+  let now = 0;
+  t.mock.method(performance, 'now', () => now);
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 0 });
+
+  const eventBus = new EventBus();
+  const summaries = [];
+  eventBus.on('metric:collected', (event) => {
+    if (event.payload.name === 'sdk_events_dropped') summaries.push(event.payload);
+  });
+  const limiter = new RateLimiter(eventBus, config);
+  const advance = (ms) => {
+    now += ms;
+    t.mock.timers.tick(ms);
+  };
+  return { limiter, summaries, advance };
+}
+
+const take = (limiter, name, n) => Array.from({ length: n }, () => limiter.tryAcquire(name)).filter(Boolean).length;
+
+test('a per-metric bucket runs dry before the global one', (t) => {
+  const { limiter } = setup(t, { maxEventsPerMinute: 100, metricRateLimits: { frame_drop: 5 } });
+
+  assert.equal(take(limiter, 'frame_drop', 20), 5);
+  assert.equal(take(limiter, 'api_call', 20), 20); // other metrics still get global tokens
+});
+
+test('the global bucket caps all metrics together', (t) => {
+  const { limiter } = setup(t, { maxEventsPerMinute: 30, metricRateLimits: {} });
+
+  assert.equal(take(limiter, 'api_call', 20), 20);
+  assert.equal(take(limiter, 'long_task', 20), 10);
+});
+
+test('buckets refill continuously, up to their capacity', (t) => {
+  const { limiter, advance } = setup(t, { maxEventsPerMinute: 60, metricRateLimits: { frame_drop: 6 } });
+  assert.equal(take(limiter, 'frame_drop', 10), 6);
+
+  advance(10000); // 1 frame_drop token per 10s
+  assert.equal(take(limiter, 'frame_drop', 10), 1);
+
+  advance(10 * 60000);
+  assert.equal(take(limiter, 'frame_drop', 10), 6);
+});
+
+test('drops are summarized once per window, by metric name', (t) => {
+  const { limiter, summaries, advance } = setup(t, { maxEventsPerMinute: 100, metricRateLimits: { frame_drop: 2, event_loop_lag: 1 } });
+  limiter.start();
+
+  take(limiter, 'frame_drop', 5);
+  take(limiter, 'event_loop_lag', 4);
+  advance(59999);
+  assert.equal(summaries.length, 0);
+
+  advance(1);
+  assert.equal(summaries.length, 1);
+  assert.equal(summaries[0].value, 6);
+  assert.deepEqual(summaries[0].metadata, { byName: { frame_drop: 3, event_loop_lag: 3 }, windowMs: 60000 });
+
+  // Nothing dropped in the next window: no summary
+  advance(60000);
+  assert.equal(summaries.length, 1);
+  limiter.stop();
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+import { EventBus } from '../../src/core/EventBus.js';
+import { mergeConfig } from '../../src/core/Config.js';
+import { RouteTracker, normalizeRoute } from '../../src/core/RouteTracker.js';
+
+installBrowserGlobals({ url: 'http://localhost/deals' });
+
+test('replaces id-like segments with :id', () => {
+  assert.equal(normalizeRoute('https://app.example.com/deals/12345/notes'), '/deals/:id/notes');
+  assert.equal(normalizeRoute('https://app.example.com/u/3f2a9c1e-8b7d-4c1a-9e2f-1a2b3c4d5e6f'), '/u/:id');
+  assert.equal(normalizeRoute('https://app.example.com/doc/a8F3kQ9zX2mN7pL4'), '/doc/:id');
+  assert.equal(normalizeRoute('https://app.example.com/settings/profile'), '/settings/profile');
+});
+
+test('drops the query string and trailing slashes', () => {
+  assert.equal(normalizeRoute('https://app.example.com/deals/?page=2#top'), '/deals');
+  assert.equal(normalizeRoute('https://app.example.com/'), '/');
+});
+
+test('uses the hash as the path for hash routers', () => {
+  assert.equal(normalizeRoute('https://app.example.com/#/deals/42?tab=notes'), '/deals/:id');
+  assert.equal(normalizeRoute('https://app.example.com/#!/deals/42'), '/deals/:id');
+});
+
+test('configured patterns win over the heuristics', () => {
+  const patterns = ['/files/*', '/teams/:team/members'];
+  assert.equal(normalizeRoute('https://app.example.com/files/a/b/c.pdf', patterns), '/files/*');
+  assert.equal(normalizeRoute('https://app.example.com/teams/sales/members', patterns), '/teams/:team/members');
+  assert.equal(normalizeRoute('https://app.example.com/teams/sales', patterns), '/teams/sales');
+});
+
+test('stop() restores history methods only while they are still our wrappers', () => {
+  const { pushState, replaceState } = history;
+  const tracker = new RouteTracker(new EventBus(), mergeConfig({}));
+  tracker.start();
+
+  const ours = history.pushState;
+  const theirs = function (...args) {
+    return ours.apply(this, args);
+  };
+  history.pushState = theirs;
+  tracker.stop();
+
+  assert.equal(history.pushState, theirs);
+  assert.equal(history.replaceState, replaceState);
+  history.pushState = pushState;
+});
+
+test('a wrapper left in place after stop() no longer reports navigations', () => {
+  const eventBus = new EventBus();
+  const tracker = new RouteTracker(eventBus, mergeConfig({}));
+  const changes = [];
+  eventBus.on('route:changed', (event) => changes.push(event.payload));
+  tracker.start();
+  const ours = history.pushState;
+  tracker.stop();
+
+  location.href = 'http://localhost/contacts';
+  ours.call(history, {}, '', '/contacts');
+  assert.equal(changes.length, 0);
+  location.href = 'http://localhost/deals';
+});
+
+test('a soft navigation settles on added / removed nodes only', () => {
+  const observed = [];
+  const { MutationObserver } = globalThis;
+  globalThis.MutationObserver = class extends MutationObserver {
+    observe(target, options) {
+      observed.push(options);
+    }
+  };
+
+  const tracker = new RouteTracker(new EventBus(), mergeConfig({}));
+  tracker.start();
+  location.href = 'http://localhost/contacts';
+  history.pushState({}, '', '/contacts');
+  tracker.stop();
+  globalThis.MutationObserver = MutationObserver;
+  location.href = 'http://localhost/deals';
+
+  assert.deepEqual(observed, [{ childList: true, subtree: true }]);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMA_VERSION, validateAnomaly, validateBatch, validateMetric } from '../../src/core/Schema.js';
+
+const metric = (overrides = {}) => ({ name: 'api_call', value: 120, unit: 'ms', tags: {}, timestamp: 1000, ...overrides });
+
+const anomaly = (overrides = {}) => ({
+  type: 'threshold_exceeded',
+  severity: 'warning',
+  metric: { name: 'api_call', value: 2400, unit: 'ms', tags: { url: '/api/deals' } },
+  message: 'api_call 2400ms',
+  baseline: null,
+  score: 0.8,
+  timestamp: 1000,
+  context: {},
+  ...overrides,
+});
+
+const batch = (events) => ({ schemaVersion: SCHEMA_VERSION, id: 'b1', events });
+
+test('a metric with a numeric string value and no unit is repaired', () => {
+  const { valid, errors, value } = validateMetric(metric({ value: '120', unit: undefined }));
+
+  assert.equal(valid, true);
+  assert.equal(value.value, 120);
+  assert.equal(value.unit, '');
+  assert.equal(errors.length, 2);
+});
+
+test('repair: false rejects what would otherwise be repaired', () => {
+  const { valid, value } = validateMetric(metric({ unit: undefined }), { repair: false });
+
+  assert.equal(valid, false);
+  assert.equal(value, null);
+});
+
+test('a metric whose value cannot be made a number is unusable', () => {
+  for (const bad of ['slow', '', null, NaN]) {
+    const { valid, errors } = validateMetric(metric({ value: bad }));
+    assert.equal(valid, false, `value ${JSON.stringify(bad)}`);
+    assert.match(errors[0], /metric\.value invalid/);
+  }
+});
+
+test('an anomaly is repaired field by field, including its metric', () => {
+  const { valid, value } = validateAnomaly(anomaly({ severity: 'huge', score: 3, metric: { name: 'api_call', value: '2400' } }));
+
+  assert.equal(valid, true);
+  assert.equal(value.severity, 'warning');
+  assert.equal(value.score, 1);
+  assert.deepEqual(value.metric, { name: 'api_call', value: 2400, unit: '', tags: {} });
+});
+
+test('an anomaly without a metric name is unusable', () => {
+  const { valid, errors } = validateAnomaly(anomaly({ metric: { value: 1 } }));
+
+  assert.equal(valid, false);
+  assert.match(errors.at(-1), /anomaly\.metric\.name invalid/);
+});
+
+test('validateBatch drops invalid events, counts them and says why', () => {
+  const { batch: validated, errors, rejected } = validateBatch(
+    batch([
+      { type: 'metric:collected', payload: metric() },
+      { type: 'metric:collected', payload: metric({ name: '' }) },
+      { type: 'anomaly:reported', payload: anomaly() },
+    ])
+  );
+
+  assert.equal(rejected, 1);
+  assert.deepEqual(validated.events.map((e) => e.type), ['metric:collected', 'anomaly:reported']);
+  assert.deepEqual(errors, ['events[1] (metric:collected): metric.name invalid ("")']);
+});
+
+test('validateBatch rejects unknown event types', () => {
+  const { batch: validated, errors, rejected } = validateBatch(
+    batch([{ type: 'metric:collected', payload: metric() }, { type: 'metric:exploded', payload: metric() }])
+  );
+
+  assert.equal(rejected, 1);
+  assert.equal(validated.events.length, 1);
+  assert.deepEqual(errors, ['events[1] (metric:exploded): unknown event type "metric:exploded"']);
+});
+
+test('validateBatch flags a schemaVersion mismatch without dropping events', () => {
+  const { batch: validated, errors, rejected } = validateBatch({ ...batch([{ type: 'metric:collected', payload: metric() }]), schemaVersion: 0 });
+
+  assert.equal(rejected, 0);
+  assert.equal(validated.events.length, 1);
+  assert.deepEqual(errors, [`schemaVersion 0 !== ${SCHEMA_VERSION}`]);
+});
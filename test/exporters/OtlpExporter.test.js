@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OtlpExporter } from '../../src/exporters/OtlpExporter.js';
+import { mergeConfig } from '../../src/core/Config.js';
+
+/** Stand-in collector: records every request, answers from `statuses` */
+const received = [];
+const statuses = {};
+let server;
+let endpoint;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      const status = statuses[req.url]?.shift() ?? 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' }).end('{}');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function batch(id) {
+  const now = Date.now();
+  return {
+    id,
+    session: { id: 's1' },
+    events: [
+      { type: 'metric:collected', wallTime: now, payload: { name: 'fcp', value: 812, unit: 'ms', tags: { route: '/deals' } } },
+      { type: 'anomaly:reported', wallTime: now, payload: { type: 'zscore', severity: 'warning', message: 'fcp slow', metric: { name: 'fcp', value: 812 } } },
+    ],
+  };
+}
+
+function exporter() {
+  const config = mergeConfig({ appName: 'shop', transport: { type: 'otlp', endpoint } });
+  return new OtlpExporter(config, { fetch: (...args) => fetch(...args) });
+}
+
+test('posts each signal to its OTLP path', async () => {
+  received.length = 0;
+  await exporter().export(batch('b1'));
+
+  assert.deepEqual(received.map((r) => r.path).sort(), ['/v1/logs', '/v1/metrics']);
+  const metrics = received.find((r) => r.path === '/v1/metrics').body;
+  const resource = metrics.resourceMetrics[0].resource.attributes;
+  assert.deepEqual(resource.find((a) => a.key === 'service.name').value, { stringValue: 'shop' });
+  assert.equal(metrics.resourceMetrics[0].scopeMetrics[0].metrics[0].name, 'fcp');
+});
+
+test('a retry re-posts only the signals that failed', async () => {
+  received.length = 0;
+  statuses['/v1/logs'] = [503];
+  const otlp = exporter();
+
+  await assert.rejects(otlp.export(batch('b2')), (e) => e.retryable === true && /logs/.test(e.message));
+  await otlp.export(batch('b2'));
+
+  const paths = received.map((r) => r.path);
+  assert.equal(paths.filter((p) => p === '/v1/metrics').length, 1);
+  assert.equal(paths.filter((p) => p === '/v1/logs').length, 2);
+  assert.equal(otlp._delivered.size, 0);
+});
+
+test('a non-retryable failure is not retried alongside a retryable one', async () => {
+  received.length = 0;
+  statuses['/v1/metrics'] = [400];
+  statuses['/v1/logs'] = [503];
+  const otlp = exporter();
+
+  await assert.rejects(otlp.export(batch('b3')), (e) => e.retryable === true);
+  await otlp.export(batch('b3'));
+
+  const paths = received.map((r) => r.path);
+  assert.equal(paths.filter((p) => p === '/v1/metrics').length, 1);
+  assert.equal(paths.filter((p) => p === '/v1/logs').length, 2);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toPrometheusText, toStatsD } from '../../src/exporters/TextExporter.js';
+
+const state = {
+  labels: { app: 'shop' },
+  baselines: [],
+  snapshots: [
+    { collector: 'AppCollector', metrics: [{ name: 'queue-depth', value: 3, unit: 'count' }] },
+    { collector: 'WorkerCollector', metrics: [{ name: 'queue.depth', value: 5, unit: 'count' }] },
+  ],
+  anomalyCounts: [{ type: 'threshold', severity: 'warning', count: 2 }],
+};
+
+test('names that sanitize alike share one HELP/TYPE header', () => {
+  const text = toPrometheusText(state);
+
+  assert.equal(text.match(/^# HELP perfsdk_queue_depth /gm).length, 1);
+  assert.equal(text.match(/^# TYPE perfsdk_queue_depth /gm).length, 1);
+  assert.match(text, /^perfsdk_queue_depth\{app="shop",collector="AppCollector",unit="count"\} 3$/m);
+  assert.match(text, /^perfsdk_queue_depth\{app="shop",collector="WorkerCollector",unit="count"\} 5$/m);
+
+  // Every sample follows its own family's header
+  const lines = text.trim().split('\n');
+  const header = lines.indexOf('# TYPE perfsdk_queue_depth gauge');
+  assert.ok(lines[header + 1].startsWith('perfsdk_queue_depth{'));
+  assert.ok(lines[header + 2].startsWith('perfsdk_queue_depth{'));
+});
+
+test('a repeated label set keeps the last value', () => {
+  const text = toPrometheusText({
+    snapshots: [{ collector: 'C', metrics: [
+      { name: 'fps', value: 30, unit: 'fps' },
+      { name: 'fps', value: 60, unit: 'fps' },
+    ] }],
+  });
+  assert.deepEqual(text.match(/^perfsdk_fps\{.*$/gm), ['perfsdk_fps{collector="C",unit="fps"} 60']);
+});
+
+test('StatsD lines carry the collector and base labels as tags', () => {
+  const lines = toStatsD(state).trim().split('\n');
+  assert.ok(lines.includes('perfsdk.queue-depth:3|g|#app:shop,collector:AppCollector'));
+  assert.ok(lines.includes('perfsdk.anomalies:2|g|#app:shop,type:threshold,severity:warning'));
+});
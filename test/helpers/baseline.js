@@ -0,0 +1,17 @@
+import { BaselineManager } from '../../src/anamolies/BaselineManager.js';
+
+/**
+ * A BaselineManager that has learned `name` from values around `center`
+ * (center ± spread, evenly spread, 100 samples)
+ */
+export function learnedBaseline(name = 'api_call', center = 100, spread = 10) {
+  const baseline = new BaselineManager(10);
+  for (let i = 0; i < 100; i++) {
+    baseline.record(name, center - spread + ((i * 7) % (2 * spread + 1)));
+  }
+  return baseline;
+}
+
+export function metric(name, value, tags = {}) {
+  return { name, value, unit: 'ms', tags, timestamp: 0 };
+}
@@ -0,0 +1,117 @@
+/**
+ * Just enough of the browser for the SDK to load and run under Node.
+ * Node already provides performance, PerformanceObserver, fetch,
+ * crypto and CompressionStream; everything else is a stand-in.
+ */
+
+const noop = () => {};
+
+export class MemoryStorage {
+  constructor() {
+    this._items = new Map();
+  }
+
+  getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this._items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this._items.delete(key);
+  }
+
+  key(index) {
+    return [...this._items.keys()][index] ?? null;
+  }
+
+  clear() {
+    this._items.clear();
+  }
+
+  get length() {
+    return this._items.size;
+  }
+}
+
+function fakeElement(localName) {
+  return {
+    nodeType: 1,
+    localName,
+    tagName: localName.toUpperCase(),
+    children: [],
+    childNodes: [],
+    classList: [],
+    parentElement: null,
+    getAttribute: () => null,
+    getElementsByTagName: () => [],
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: noop,
+    removeEventListener: noop,
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.url]
+ */
+export function installBrowserGlobals({ url = 'http://localhost/' } = {}) {
+  const html = fakeElement('html');
+  const body = fakeElement('body');
+
+  globalThis.localStorage = new MemoryStorage();
+  globalThis.sessionStorage = new MemoryStorage();
+  globalThis.window = globalThis;
+  globalThis.addEventListener = noop;
+  globalThis.removeEventListener = noop;
+  globalThis.location = { href: url, origin: new URL(url).origin };
+  globalThis.history = { pushState: noop, replaceState: noop };
+  globalThis.document = {
+    documentElement: html,
+    body,
+    readyState: 'complete',
+    visibilityState: 'visible',
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    getElementsByTagName: () => [],
+  };
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { onLine: true, userAgent: 'node', sendBeacon: () => true },
+    configurable: true,
+    writable: true,
+  });
+  globalThis.MutationObserver = class {
+    observe() {}
+    disconnect() {}
+    takeRecords() {
+      return [];
+    }
+  };
+  globalThis.XMLHttpRequest = class {};
+  globalThis.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 16);
+  globalThis.cancelAnimationFrame = (id) => clearTimeout(id);
+}
+
+/**
+ * In-memory stand-in for utils/Storage.js backends
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    type: 'memory',
+    async get(key) {
+      return items.has(key) ? structuredClone(items.get(key)) : null;
+    },
+    async set(key, value) {
+      items.set(key, structuredClone(value));
+    },
+    async remove(key) {
+      items.delete(key);
+    },
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Element tree with the handful of properties the collectors walk:
+ * parentElement, firstElementChild / nextElementSibling, id, classList,
+ * attributes and getElementsByTagName('*').
+ */
+export class FakeElement {
+  constructor(localName, { id = '', classes = [], attributes = {} } = {}) {
+    this.nodeType = 1;
+    this.localName = localName;
+    this.tagName = localName.toUpperCase();
+    this.id = id;
+    this.classList = classes;
+    this.attributes = attributes;
+    this.children = [];
+    this.parentElement = null;
+  }
+
+  get firstElementChild() {
+    return this.children[0] ?? null;
+  }
+
+  get nextElementSibling() {
+    const siblings = this.parentElement?.children ?? [];
+    return siblings[siblings.indexOf(this) + 1] ?? null;
+  }
+
+  get isConnected() {
+    let el = this;
+    while (el.parentElement) el = el.parentElement;
+    return el.localName === 'html';
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  appendChild(child) {
+    child.parentElement = this;
+    this.children.push(child);
+    return child;
+  }
+
+  removeChild(child) {
+    this.children.splice(this.children.indexOf(child), 1);
+    child.parentElement = null;
+    return child;
+  }
+
+  getElementsByTagName() {
+    const all = [];
+    const stack = [...this.children];
+    while (stack.length > 0) {
+      const el = stack.pop();
+      all.push(el);
+      stack.push(...el.children);
+    }
+    return all;
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+}
+
+/**
+ * <html><body>...</body></html> installed as the global document's tree
+ * @returns {{html: FakeElement, body: FakeElement}}
+ */
+export function installDocumentTree() {
+  const html = new FakeElement('html');
+  const body = html.appendChild(new FakeElement('body'));
+  document.documentElement = html;
+  document.body = body;
+  document.getElementsByTagName = () => [html, ...html.getElementsByTagName('*')];
+  return { html, body };
+}
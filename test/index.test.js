@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from './helpers/browser.js';
+
+installBrowserGlobals({ url: 'http://localhost/deals/42' });
+
+const { default: perfSDK, PerfSDK, EventBus } = await import('../src/index.js');
+
+test('the entry point loads and exports a shared instance', () => {
+  assert.ok(perfSDK instanceof PerfSDK);
+});
+
+test('init → start → flush → stop delivers a batch', async () => {
+  const batches = [];
+  const sdk = new PerfSDK().init({
+    appName: 'entry-test',
+    transport: { type: 'custom', send: (batch) => batches.push(batch), offlineQueue: { enabled: false } },
+  });
+  sdk.start();
+
+  sdk.eventBus.emit('metric:collected', 'Test', { name: 'custom_metric', value: 1, unit: 'count', tags: {}, timestamp: 1 });
+  await sdk.transport.flush();
+  sdk.stop();
+  sdk.destroy();
+
+  assert.equal(batches.length, 1);
+  const event = batches[0].events.find((e) => e.payload.name === 'custom_metric');
+  assert.ok(event);
+  assert.equal(batches[0].app.name, 'entry-test');
+  assert.equal(typeof batches[0].session.id, 'string');
+});
+
+test('EventBus keeps one session id per tab session', () => {
+  const first = new EventBus().emit('x', 'Test', {}).sessionId;
+  const second = new EventBus().emit('x', 'Test', {}).sessionId;
+  assert.equal(first, second);
+});
+
+test('getExportState() leaves buffered collector entries for the next collect()', () => {
+  const sdk = new PerfSDK().init({
+    appName: 'export-test',
+    transport: { type: 'custom', send: () => {}, offlineQueue: { enabled: false } },
+  });
+  const collector = sdk._collectors.get('jsExecution');
+  collector._metrics.push({ name: 'long_task', value: 80, unit: 'ms', tags: {} });
+
+  const exported = sdk.getExportState().snapshots.find((s) => s.collector === collector.collectorName);
+  assert.equal(exported.metrics.length, 1);
+  assert.equal(collector.collect().length, 1);
+  sdk.destroy();
+});
+
+test("framework 'auto' is detected once the framework has loaded, not at init()", () => {
+  const sdk = new PerfSDK().init({ transport: { type: 'custom', send: () => {}, offlineQueue: { enabled: false } } });
+  sdk.start();
+  assert.equal(sdk.getStatus().framework, null);
+
+  globalThis.__REACT_DEVTOOLS_GLOBAL_HOOK__ = { renderers: new Map([[1, {}]]) };
+  try {
+    assert.equal(sdk.adapter.framework, 'react');
+    assert.equal(sdk.adapter.isRunning, true);
+    assert.equal(sdk.getStatus().collectors.find((c) => c.key === 'framework').running, true);
+  } finally {
+    delete globalThis.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    sdk.destroy();
+  }
+});
+
+test('config.framework accepts an adapter class', async () => {
+  const { BaseAdapter } = await import('../src/index.js');
+  class SolidAdapter extends BaseAdapter {
+    constructor(eventBus, config) {
+      super(eventBus, config);
+      this.framework = 'solid';
+    }
+  }
+  const sdk = new PerfSDK().init({
+    framework: SolidAdapter,
+    transport: { type: 'custom', send: () => {}, offlineQueue: { enabled: false } },
+  });
+  assert.equal(sdk.getStatus().framework, 'solid');
+  sdk.destroy();
+});
+
+test('SDK_NAME / SDK_VERSION match package.json and are what batches report', async () => {
+  const { readFile } = await import('node:fs/promises');
+  const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+  const { SDK_NAME, SDK_VERSION } = await import('../src/index.js');
+  assert.equal(SDK_NAME, pkg.name);
+  assert.equal(SDK_VERSION, pkg.version);
+
+  const batches = [];
+  const sdk = new PerfSDK().init({
+    transport: { type: 'custom', send: (batch) => batches.push(batch), offlineQueue: { enabled: false } },
+  });
+  sdk.start();
+  sdk.eventBus.emit('metric:collected', 'Test', { name: 'custom_metric', value: 1, unit: 'count', tags: {}, timestamp: 1 });
+  await sdk.flush();
+  sdk.destroy();
+  assert.deepEqual(batches[0].sdk, { name: pkg.name, version: pkg.version });
+});
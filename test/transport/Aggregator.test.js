@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { Transport } = await import('../../src/transport/Transport.js');
+const { Aggregator } = await import('../../src/transport/Aggregator.js');
+
+const apiCall = (value, tags = {}) => ({
+  type: 'metric:collected',
+  payload: { name: 'api_call', value, unit: 'ms', tags: { method: 'GET', url: '/api/deals', severity: 'info', ...tags } },
+});
+
+test('aggregation: { enabled: true } alone folds the default metrics', async () => {
+  const batches = [];
+  const eventBus = new EventBus();
+  const config = mergeConfig({
+    transport: {
+      type: 'custom',
+      send: (batch) => batches.push(batch),
+      aggregation: { enabled: true },
+      offlineQueue: { enabled: false },
+    },
+  });
+  const transport = new Transport(eventBus, config);
+  transport.start();
+
+  for (const value of [100, 200, 300]) {
+    eventBus.emit('metric:collected', 'NetworkCollector', apiCall(value).payload);
+  }
+  await transport.flush();
+  transport.stop();
+
+  const events = batches.flatMap((b) => b.events);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'metric:summary');
+  assert.equal(events[0].payload.count, 3);
+  assert.equal(events[0].payload.sum, 600);
+});
+
+test('summaries are keyed by the key tags only, slow calls also stay raw', () => {
+  const aggregator = new Aggregator({ metrics: ['api_call'], keyTags: ['method', 'severity'] });
+
+  assert.equal(aggregator.add(apiCall(100, { url: '/a' })), true);
+  assert.equal(aggregator.add(apiCall(120, { url: '/b' })), true);
+  assert.equal(aggregator.add(apiCall(2000, { severity: 'warning' })), false);
+
+  const summaries = aggregator.drain();
+  assert.equal(summaries.length, 2);
+  assert.deepEqual(summaries.map((s) => s.payload.count).sort(), [1, 2]);
+  assert.equal(aggregator.hasData(), false);
+});
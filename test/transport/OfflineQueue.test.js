@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage } from '../helpers/browser.js';
+import { OfflineQueue } from '../../src/transport/OfflineQueue.js';
+
+const batch = (id) => ({ id, events: [{ type: 'metric:collected', payload: { name: id } }] });
+
+test('stores a batch id only once', async () => {
+  const queue = new OfflineQueue(createMemoryStorage());
+  await queue.enqueue(batch('a'));
+  await queue.enqueue(batch('a'));
+  assert.equal(await queue.size(), 1);
+});
+
+test('replays oldest first and removes what was delivered', async () => {
+  const queue = new OfflineQueue(createMemoryStorage());
+  await queue.enqueue(batch('a'));
+  await queue.enqueue(batch('b'));
+
+  const sent = [];
+  const delivered = await queue.replay(async (b) => sent.push(b.id));
+
+  assert.equal(delivered, 2);
+  assert.deepEqual(sent, ['a', 'b']);
+  assert.equal(await queue.size(), 0);
+});
+
+test('stops at a retryable failure and keeps the rest in order', async () => {
+  const queue = new OfflineQueue(createMemoryStorage());
+  await queue.enqueue(batch('a'));
+  await queue.enqueue(batch('b'));
+
+  const delivered = await queue.replay(async () => {
+    throw new Error('offline');
+  });
+
+  assert.equal(delivered, 0);
+  assert.equal(await queue.size(), 2);
+});
+
+test('evicts the oldest batches beyond maxBatches', async () => {
+  const queue = new OfflineQueue(createMemoryStorage(), { maxBatches: 2 });
+  await queue.enqueue(batch('a'));
+  await queue.enqueue(batch('b'));
+  await queue.enqueue(batch('c'));
+
+  const sent = [];
+  await queue.replay(async (b) => sent.push(b.id));
+  assert.deepEqual(sent, ['b', 'c']);
+});
+
+test('drops a batch the endpoint rejects for good and keeps replaying', async () => {
+  const queue = new OfflineQueue(createMemoryStorage());
+  await queue.enqueue(batch('bad'));
+  await queue.enqueue(batch('good'));
+
+  const sent = [];
+  const dropped = [];
+  const delivered = await queue.replay(
+    async (b) => {
+      if (b.id === 'bad') throw Object.assign(new Error('413 Payload Too Large'), { retryable: false });
+      sent.push(b.id);
+    },
+    (b, error) => dropped.push([b.id, error.message])
+  );
+
+  assert.equal(delivered, 1);
+  assert.deepEqual(sent, ['good']);
+  assert.deepEqual(dropped, [['bad', '413 Payload Too Large']]);
+  assert.equal(await queue.size(), 0);
+});
+
+test('overlapping operations on a slow backend lose no updates', async () => {
+  const storage = createMemoryStorage();
+  const slow = {
+    get: async (key) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return storage.get(key);
+    },
+    set: async (key, value) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return storage.set(key, value);
+    },
+    remove: (key) => storage.remove(key),
+  };
+  const queue = new OfflineQueue(slow);
+
+  await Promise.all(['a', 'b', 'c', 'd'].map((id) => queue.enqueue(batch(id))));
+  assert.equal(await queue.size(), 4);
+
+  // A batch queued while a replay is sending survives the replay's removals
+  const sent = [];
+  await queue.replay(async (b) => {
+    sent.push(b.id);
+    if (b.id === 'a') await queue.enqueue(batch('e'));
+  });
+  assert.deepEqual(sent, ['a', 'b', 'c', 'd']);
+  assert.equal(await queue.size(), 1);
+});
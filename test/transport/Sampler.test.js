@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeConfig } from '../../src/core/Config.js';
+import { Sampler } from '../../src/transport/Sampler.js';
+
+const samplerConfig = (transport) => mergeConfig({ transport });
+
+const apiCall = (sessionId = 'session-a', tags = {}) => ({
+  type: 'metric:collected',
+  sessionId,
+  payload: { name: 'api_call', value: 120, unit: 'ms', tags },
+});
+
+test('head sampling gives a session the same decision every time', () => {
+  const config = samplerConfig({ samplingRate: 0.5 });
+  const sessions = Array.from({ length: 50 }, (_, i) => `session-${i}`);
+
+  const first = sessions.map((id) => new Sampler(config).isSessionSampled(id));
+  const again = sessions.map((id) => new Sampler(config).isSessionSampled(id));
+
+  assert.deepEqual(again, first);
+  assert.ok(first.includes(true) && first.includes(false), 'expected both outcomes across 50 sessions');
+
+  const sampler = new Sampler(config);
+  const kept = sessions.find((id) => sampler.isSessionSampled(id));
+  const dropped = sessions.find((id) => !sampler.isSessionSampled(id));
+  for (let i = 0; i < 5; i++) {
+    assert.equal(sampler.sample(apiCall(kept)), 2);
+    assert.equal(sampler.sample(apiCall(dropped)), 0);
+  }
+});
+
+test('rare metrics are kept until they pass rareMetricThreshold', (t) => {
+  t.mock.method(Math, 'random', () => 0.99);
+  const sampler = new Sampler(samplerConfig({ smartSampling: true, rareMetricThreshold: 5, smartSamplingTargetPerMinute: 2 }));
+
+  const weights = Array.from({ length: 6 }, () => sampler.sample(apiCall()));
+
+  assert.deepEqual(weights, [1, 1, 1, 1, 1, 0]);
+});
+
+test('everything is kept while an incident is open', (t) => {
+  t.mock.method(Math, 'random', () => 0.99);
+  let open = true;
+  const incidents = { hasOpenIncidents: () => open };
+  const sampler = new Sampler(samplerConfig({ smartSampling: true, rareMetricThreshold: 1, smartSamplingTargetPerMinute: 2 }), incidents);
+
+  for (let i = 0; i < 20; i++) assert.equal(sampler.sample(apiCall()), 1);
+
+  open = false;
+  assert.equal(sampler.sample(apiCall()), 0);
+});
+
+test('kept events are weighted by headWeight / probability', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const sampler = new Sampler(
+    samplerConfig({ samplingRate: 0.5, smartSampling: true, rareMetricThreshold: 1, smartSamplingTargetPerMinute: 2 })
+  );
+  const sessionId = Array.from({ length: 50 }, (_, i) => `session-${i}`).find((id) => sampler.isSessionSampled(id));
+
+  const weights = Array.from({ length: 8 }, () => sampler.sample(apiCall(sessionId)));
+
+  // head weight 2; observed n/min → probability min(1, 2/n)
+  assert.deepEqual(weights, [2, 2, 3, 4, 5, 6, 7, 8]);
+});
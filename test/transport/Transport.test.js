@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from '../helpers/browser.js';
+
+installBrowserGlobals();
+
+const { EventBus } = await import('../../src/core/EventBus.js');
+const { mergeConfig } = await import('../../src/core/Config.js');
+const { Transport } = await import('../../src/transport/Transport.js');
+const { SCHEMA_VERSION } = await import('../../src/core/Schema.js');
+
+function setup(overrides = {}) {
+  const batches = [];
+  const eventBus = new EventBus();
+  const config = mergeConfig({
+    ...overrides,
+    transport: {
+      type: 'custom',
+      send: (batch) => batches.push(batch),
+      batchSize: 3,
+      offlineQueue: { enabled: false },
+      ...overrides.transport,
+    },
+  });
+  const transport = new Transport(eventBus, config);
+  return { eventBus, transport, batches };
+}
+
+function metric(name, value = 1) {
+  return { name, value, unit: 'ms', tags: {}, timestamp: 1 };
+}
+
+test('sends a versioned batch once batchSize events are buffered', async () => {
+  const { eventBus, transport, batches } = setup();
+  transport.start();
+
+  eventBus.emit('metric:collected', 'Test', metric('a'));
+  eventBus.emit('metric:collected', 'Test', metric('b'));
+  assert.equal(batches.length, 0);
+  eventBus.emit('metric:collected', 'Test', metric('c'));
+  await new Promise((resolve) => setImmediate(resolve));
+  transport.stop();
+
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(batches[0].events.map((e) => e.payload.name), ['a', 'b', 'c']);
+  assert.equal(batches[0].events[0].sampleWeight, 1);
+});
+
+test('beforeSend can drop a batch by returning null', async () => {
+  const { eventBus, transport, batches } = setup({ beforeSend: () => null });
+  transport.start();
+
+  eventBus.emit('metric:collected', 'Test', metric('a'));
+  await transport.flush();
+  transport.stop();
+
+  assert.equal(batches.length, 0);
+});
+
+test('a failing sender reports the dropped batch', async () => {
+  const { eventBus, transport } = setup({
+    transport: {
+      retryAttempts: 0,
+      send: () => {
+        throw Object.assign(new Error('400 Bad Request'), { retryable: false });
+      },
+    },
+  });
+  const errors = [];
+  eventBus.on('error:internal', (event) => errors.push(event.payload));
+  transport.start();
+
+  eventBus.emit('metric:collected', 'Test', metric('a'));
+  await transport.flush();
+  transport.stop();
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].eventCount, 1);
+});
+
+test('beforeSend returning something other than a batch drops it with an error', async () => {
+  const { eventBus, transport, batches } = setup({ beforeSend: (batch) => ({ ...batch, events: undefined }) });
+  const errors = [];
+  eventBus.on('error:internal', (event) => errors.push(event.payload));
+  transport.start();
+
+  eventBus.emit('metric:collected', 'Test', metric('a'));
+  await transport.flush();
+  await transport.stop();
+
+  assert.equal(batches.length, 0);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /no events array/);
+});
+
+test('a flush started by a full buffer reports its failure instead of rejecting unhandled', async (t) => {
+  const { eventBus, transport } = setup();
+  t.mock.method(transport, '_buildBatch', () => {
+    throw new Error('boom');
+  });
+  const errors = [];
+  eventBus.on('error:internal', (event) => errors.push(event.payload));
+  transport.start();
+
+  for (const name of ['a', 'b', 'c']) eventBus.emit('metric:collected', 'Test', metric(name));
+  await new Promise((resolve) => setImmediate(resolve));
+  t.mock.restoreAll();
+  await transport.stop();
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].message, 'flush failed: boom');
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCompact, decodeCompact, COMPACT_FORMAT } from '../../../src/transport/encoding/CompactCodec.js';
+import { encodeBatch, decodeBatch } from '../../../src/transport/encoding/BatchEncoding.js';
+
+const batch = {
+  schemaVersion: 1,
+  id: 'batch-1',
+  sdk: { name: 'perf-logger-sdk', version: '1.0.0' },
+  app: { name: 'crm', version: '2.3.0', environment: 'production' },
+  session: { id: 'session-1' },
+  page: { url: 'http://localhost/deals/42' },
+  sentAt: 1700000000000,
+  events: [
+    {
+      type: 'metric:collected',
+      source: 'NetworkCollector',
+      timestamp: 1234.56,
+      wallTime: 1700000000000,
+      pageUrl: 'http://localhost/deals/42',
+      sampleWeight: 1,
+      payload: {
+        name: 'api_call',
+        value: 812.25,
+        unit: 'ms',
+        tags: { method: 'GET', url: '/api/deals', status: 200, ok: true },
+        metadata: { fullUrl: 'http://localhost/api/deals?page=2' },
+        timestamp: 1234.56,
+      },
+    },
+    {
+      type: 'anomaly:reported',
+      source: 'IncidentManager',
+      timestamp: 1300.01,
+      wallTime: 1700000000066,
+      pageUrl: 'http://localhost/deals/42',
+      sampleWeight: 1,
+      payload: {
+        type: 'spike',
+        severity: 'warning',
+        metric: { name: 'api_call', value: 812.25, unit: 'ms', tags: { method: 'GET' } },
+        message: 'api_call spiked',
+        baseline: { mean: 200, stdDev: 50 },
+        score: 0.8,
+        timestamp: 1700000000066,
+      },
+    },
+    {
+      type: 'route:changed',
+      source: 'RouteTracker',
+      timestamp: 1400,
+      wallTime: 1700000000166,
+      pageUrl: 'http://localhost/deals/:id',
+      sampleWeight: 2,
+      payload: { from: '/', to: '/deals/:id' },
+    },
+  ],
+};
+
+test('round-trips a batch losslessly', () => {
+  const compact = encodeCompact(batch);
+  assert.equal(compact.f, COMPACT_FORMAT);
+  assert.deepEqual(decodeCompact(JSON.parse(JSON.stringify(compact))), batch);
+});
+
+test('stores repeated strings once', () => {
+  const compact = encodeCompact(batch);
+  assert.equal(compact.s.filter((s) => s === 'api_call').length, 1);
+  assert.ok(JSON.stringify(compact).length < JSON.stringify(batch).length);
+});
+
+test('encodeBatch / decodeBatch round-trip every encoding', async () => {
+  for (const options of [{}, { encoding: 'compact' }, { encoding: 'compact', compress: true }, { compress: true }]) {
+    const { body } = await encodeBatch(batch, options);
+    assert.deepEqual(await decodeBatch(body), batch, JSON.stringify(options));
+  }
+});
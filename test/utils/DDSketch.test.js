@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DDSketch } from '../../src/utils/DDSketch.js';
+
+function assertWithin(actual, expected, relativeAccuracy) {
+  assert.ok(
+    Math.abs(actual - expected) <= expected * relativeAccuracy,
+    `${actual} not within ${relativeAccuracy * 100}% of ${expected}`
+  );
+}
+
+test('quantiles are within the relative accuracy', () => {
+  const sketch = new DDSketch(0.01);
+  for (let v = 1; v <= 10000; v++) sketch.add(v);
+
+  for (const q of [0.5, 0.9, 0.95, 0.99]) {
+    assertWithin(sketch.quantile(q), q * 9999 + 1, 0.01);
+  }
+});
+
+test('zeros and weights count toward the rank', () => {
+  const sketch = new DDSketch();
+  sketch.add(0, 3);
+  sketch.add(100, 1);
+  assert.equal(sketch.count, 4);
+  assert.equal(sketch.quantile(0.5), 0);
+  assertWithin(sketch.quantile(1), 100, 0.01);
+});
+
+test('merging two sketches equals sketching all values', () => {
+  const a = new DDSketch();
+  const b = new DDSketch();
+  const all = new DDSketch();
+  for (let v = 1; v <= 500; v++) {
+    (v % 2 ? a : b).add(v * 3);
+    all.add(v * 3);
+  }
+  a.merge(b);
+  assert.equal(a.count, all.count);
+  assert.equal(a.quantile(0.9), all.quantile(0.9));
+  assert.throws(() => a.merge(new DDSketch(0.05)));
+});
+
+test('survives a JSON round-trip', () => {
+  const sketch = new DDSketch();
+  [5, 10, 20, 40].forEach((v) => sketch.add(v));
+  const restored = DDSketch.fromJSON(JSON.parse(JSON.stringify(sketch)));
+  assert.equal(restored.quantile(0.5), sketch.quantile(0.5));
+  assert.equal(restored.count, 4);
+});
+
+test('an empty sketch has no quantiles', () => {
+  assert.ok(Number.isNaN(new DDSketch().quantile(0.5)));
+});